@@ -0,0 +1,119 @@
+/**
+ * COVO Baseline
+ * Accepts known violations: a baseline file records them as rule id plus concept id, so that later runs
+ * only count violations that are new since the snapshot.
+ */
+var baseline = (function() {
+
+    /**
+     * Builds a baseline snapshot from the current results.
+     * @param {object[]} results
+     * @param {object} meta - {model: string, timestamp: string}
+     * @returns {object}
+     */
+    function snapshot(results, meta) {
+        const entries = [];
+        results.forEach(res => {
+            res.violations.each(v => entries.push({ ruleId: res.id, conceptId: v.id, type: v.type, name: utils.getLabel(v) }));
+        });
+        return { model: meta.model, created: meta.timestamp, violations: entries };
+    }
+
+    /**
+     * Saves the current violations as the baseline.
+     * @param {string} path
+     * @param {object[]} results
+     * @param {object} meta - {model: string, timestamp: string}
+     * @returns {number} The number of accepted violations.
+     */
+    function save(path, results, meta) {
+        const data = snapshot(results, meta);
+        io.writeFile(path, JSON.stringify(data, null, 2));
+        return data.violations.length;
+    }
+
+    /**
+     * Loads a baseline.
+     * @param {string} path
+     * @returns {object|null} The baseline, or null if there is none.
+     */
+    function load(path) {
+        const text = io.readFile(path);
+        if (text === null) return null;
+        const data = JSON.parse(text);
+        if (!Array.isArray(data.violations)) throw new Error(`Invalid baseline file '${path}': missing violations`);
+        return data;
+    }
+
+    /**
+     * Splits the violations of each result into new and still present ones, and determines which baseline
+     * entries were resolved. Only entries whose concept is in scope (or no longer exists) count as resolved.
+     * Adds newViolations and baselineViolations to each result, and a baseline section to the summary.
+     * @param {object[]} results
+     * @param {object} summary
+     * @param {object} data - The loaded baseline.
+     * @param {object} context
+     */
+    function compare(results, summary, data, context) {
+        const accepted = new Set(data.violations.map(e => e.ruleId + '|' + e.conceptId));
+        const current = new Set();
+        const inScope = new Set(context.elements.map(e => e.id).concat(context.relationships.map(r => r.id)));
+        const existsInModel = id => $('#' + id).size() > 0;
+
+        let newCount = 0;
+        let existingCount = 0;
+        results.forEach(res => {
+            res.newViolations = res.violations.filter(v => !accepted.has(res.id + '|' + v.id));
+            res.baselineViolations = res.violations.filter(v => accepted.has(res.id + '|' + v.id));
+            res.violations.each(v => current.add(res.id + '|' + v.id));
+            newCount += res.newViolations.size();
+            existingCount += res.baselineViolations.size();
+        });
+
+        const ruleIds = new Set(results.map(res => res.id));
+        const resolved = data.violations.filter(e =>
+            ruleIds.has(e.ruleId)
+            && !current.has(e.ruleId + '|' + e.conceptId)
+            && (!context.partial || inScope.has(e.conceptId) || !existsInModel(e.conceptId))
+        );
+        results.forEach(res => res.resolvedViolations = resolved.filter(e => e.ruleId === res.id));
+
+        summary.baseline = {
+            created: data.created,
+            newViolations: newCount,
+            existingViolations: existingCount,
+            resolvedViolations: resolved.length
+        };
+    }
+
+    /**
+     * Compares the results with those of a previous version of the model (see compare), where the violations of the
+     * previous version that are no longer reported are fixed, also if their rule did not run again because its concepts
+     * were removed. Violations of rules that could not be run now are not counted as fixed.
+     * @param {object[]} results
+     * @param {object} summary
+     * @param {object[]} previousResults
+     * @param {object} meta - {model: string, timestamp: string} of the previous version.
+     * @param {object} context
+     */
+    function compareVersions(results, summary, previousResults, meta, context) {
+        const data = snapshot(previousResults, meta);
+        compare(results, summary, data, context);
+
+        const current = new Set();
+        results.forEach(res => res.violations.each(v => current.add(res.id + '|' + v.id)));
+        const failed = new Set(summary.ruleErrors.map(e => e.ruleId));
+        const fixed = data.violations.filter(e => !current.has(e.ruleId + '|' + e.conceptId) && !failed.has(e.ruleId));
+        results.forEach(res => res.resolvedViolations = fixed.filter(e => e.ruleId === res.id));
+        summary.baseline.resolvedViolations = fixed.length;
+    }
+
+    return {
+        snapshot: snapshot,
+        save: save,
+        load: load,
+        compare: compare,
+        compareVersions: compareVersions
+    };
+
+})();
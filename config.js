@@ -18,8 +18,56 @@ var config = (function() {
     // ANOTHER ASSUMPTION:
     // The model consists of nothing else besides the configured TYPES and their relationships.
 
+    // Allowed ArchiMate relationship types per relationship category (in the directions above).
+    // A relationship of another type is not categorized, and is reported as a C0 violation.
+    const RELATIONSHIPS = {
+        succession: ['triggering-relationship', 'flow-relationship'],
+        support: ['serving-relationship'],
+        material: ['association-relationship'],
+        manifestation: ['serving-relationship', 'aggregation-relationship'],
+        transformation: ['access-relationship', 'association-relationship']
+    };
+
     const VIOLATION_EXAMPLES = 5;
 
+    // Rule profiles: which rules are disabled, and the severity of the others ('error', 'warning' or 'info').
+    // Rules without a configured severity are errors. Only errors make the validation fail.
+    const PROFILES = {
+        'release': {
+            disabled: [],
+            severities: {}
+        },
+        'early-modelling': {
+            disabled: ['C3', 'C6', 'C7'],
+            severities: { C5: 'warning', C8: 'warning', C11: 'warning', C13: 'info', C14: 'info', C15: 'warning' }
+        },
+        'structure': {
+            disabled: ['C0', 'C4', 'C5', 'C6', 'C7', 'C8', 'C9', 'C10', 'C11', 'C12', 'C13', 'C14', 'C15'],
+            severities: {}
+        }
+    };
+
+    const PROFILE = 'release';
+
+    // What to do with a rule when a rule it depends on (its dependsOn, e.g. C1 and C2 for the rules relying on the hierarchy) fails:
+    // 'sanitize' runs it without the elements with multiple parents or in or below a cycle and marks its result provisional,
+    // 'skip' skips it until the failing rules pass, and 'off' runs it as usual.
+    const GATING = {
+        mode: 'sanitize'
+    };
+
+    // Expected depth of the leaves for C3, per element role: a number of ancestors, or null for the depth most leaves
+    // of that type have (the dominant depth). With perRoot, the dominant depth is determined per top-level element.
+    const DEPTH = {
+        perRoot: false,
+        expected: { valueStream: null, capability: null, object: null }
+    };
+
+    // Print why each example violation fired, for the rules that return evidence (C2, C3, C4, C8, C10 and C15).
+    const EXPLAIN = {
+        enabled: true
+    };
+
     const FLASH = {
         enabled: true,
         color: '#ff0000',
@@ -27,10 +75,105 @@ var config = (function() {
         count: 3
     };
 
+    // Create or refresh a dedicated view per failing rule, showing the violations with their parents and counterparts.
+    const VIEWS = {
+        enabled: false,
+        prefix: 'COVO Violations: ', // view names, e.g. 'COVO Violations: C4 - Upward coherence'
+        property: 'covo:violations', // property that marks generated views (value: rule id)
+        color: '#ff0000'
+    };
+
+    // Open a dialog after validation that lists all violations per rule and reveals them in the model tree and views.
+    const NAVIGATOR = {
+        enabled: true
+    };
+
+    // Offer the repairs proposed by the rules after validation (always previewed and confirmed before applying).
+    const FIX = {
+        enabled: true,
+        flagProperty: 'covo:review' // property that marks concepts needing a manual decision
+    };
+
+    // Skip deliberate exceptions: a concept with covo:ignore = C3,C7 is not validated against C3 and C7.
+    // The suppression only applies if the concept also explains itself in covo:ignore-reason.
+    const SUPPRESSION = {
+        enabled: true,
+        property: 'covo:ignore',
+        reasonProperty: 'covo:ignore-reason'
+    };
+
+    // Accept known violations: only violations missing from the baseline file (next to the scripts) count.
+    // Save a new baseline by choosing the BASELINE option when running main.js.
+    const BASELINE = {
+        enabled: true,
+        fileName: 'covo-baseline.json'
+    };
+
+    // Record the summary of each full validation in a history file (JSON Lines, next to the scripts), and report
+    // how the violation counts changed since the previous and the first recorded run of the model.
+    const HISTORY = {
+        enabled: true,
+        fileName: 'covo-history.jsonl'
+    };
+
+    // Report model metrics and a maturity score (0-100) per top-level hierarchy, the weighted mean of its
+    // compliance (share of concepts without violations), consistency (share of leaves at the expected depth, see DEPTH) and
+    // connectedness (share of stages realized by one capability, capabilities transforming an object, transformed objects).
+    const METRICS = {
+        enabled: true,
+        weights: { compliance: 2, consistency: 1, connectedness: 1 }
+    };
+
+    // Write the complete results to files next to the scripts (e.g., covo-results.json).
+    // Supported formats: 'json', 'junit', 'sarif' and 'html' (a standalone report to share for reviews).
+    const EXPORT = {
+        formats: [],
+        fileName: 'covo-results'
+    };
+
+    // Write the relationships stakeholders review as CSV matrices next to the scripts: capabilities by objects, by value
+    // stream stages and by capabilities (e.g., covo-matrix-capabilities-objects.csv). Rows and columns follow the
+    // refinement hierarchy, and cells of relationships that violate a rule name those rules.
+    const MATRICES = {
+        enabled: false,
+        fileName: 'covo-matrix',
+        separator: ',' // e.g. ';' for spreadsheets in locales with a decimal comma
+    };
+
+    // Import a hierarchy from an indented outline or a CSV with a name and a parent column (import.js),
+    // then check the structure of the model with the rules of this profile.
+    const IMPORT = {
+        profile: 'structure'
+    };
+
+    // Load house rules from the *.js files in this directory (next to the scripts), on top of C0-C15.
+    // Each file registers its rules with plugins.register({id, name, statement, validate(context)}).
+    const PLUGINS = {
+        enabled: true,
+        directory: 'custom-rules'
+    };
+
     return {
         TYPES: TYPES,
+        RELATIONSHIPS: RELATIONSHIPS,
         VIOLATION_EXAMPLES: VIOLATION_EXAMPLES,
-        FLASH: FLASH
+        PROFILES: PROFILES,
+        PROFILE: PROFILE,
+        GATING: GATING,
+        DEPTH: DEPTH,
+        EXPLAIN: EXPLAIN,
+        FLASH: FLASH,
+        VIEWS: VIEWS,
+        NAVIGATOR: NAVIGATOR,
+        FIX: FIX,
+        SUPPRESSION: SUPPRESSION,
+        BASELINE: BASELINE,
+        HISTORY: HISTORY,
+        METRICS: METRICS,
+        EXPORT: EXPORT,
+        MATRICES: MATRICES,
+        IMPORT: IMPORT,
+        PLUGINS: PLUGINS
     };
 
 })();
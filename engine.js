@@ -0,0 +1,500 @@
+/**
+ * COVO Validation Engine
+ * Prepares the validation context, runs the rules and prints the report.
+ * Shared by main.js (jArchi) and the headless Node.js runner.
+ */
+var engine = (function() {
+
+    /**
+     * Categorizes elements and relationships into the context the rules validate against,
+     * and indexes the hierarchy and each relationship category for fast lookups.
+     * @param {collection} allElements
+     * @param {collection} allRelationships
+     * @param {boolean} partial - Whether only a selection of the model is validated.
+     * @param {string} [scopeName] - Describes what is validated, e.g. 'view "Overview"'.
+     * @returns {object} context
+     */
+    function createContext(allElements, allRelationships, partial, scopeName) {
+        const context = {
+            partial: partial,
+            scopeName: scopeName || (partial ? 'selection' : 'full model'),
+            elements: allElements,
+            valueStreams: $(),
+            capabilities: $(),
+            objects: $(),
+            relationships: allRelationships,
+            refinementRelations: $(),
+            successionRelations: $(),
+            supportRelations: $(),
+            materialRelations: $(),
+            manifestationRelations: $(),
+            transformationRelations: $(),
+            horizontalRelations: $(),
+            horizontalReflexiveRelations: $(),
+        };
+
+        allElements.each(e => {
+            switch (e.type) {
+                case config.TYPES.valueStream: context.valueStreams.add(e); break;
+                case config.TYPES.capability: context.capabilities.add(e); break;
+                case config.TYPES.object: context.objects.add(e); break;
+            }
+        });
+
+        allRelationships.each(r => {
+            if (r.type === config.TYPES.refinement) {
+                context.refinementRelations.add(r);
+                return;
+            }
+
+            // Relationships of unsupported types or directions are left out (and reported by C0)
+            const category = utils.getCategory(r);
+            if (!category) return;
+
+            context.horizontalRelations.add(r);
+            context[category + 'Relations'].add(r);
+            if (r.source.type === r.target.type) context.horizontalReflexiveRelations.add(r);
+        });
+
+        // Precomputed adjacency indexes, used by the rules as relationship scopes
+        context.index = {
+            hierarchy: utils.indexHierarchy(allElements),
+            horizontal: utils.indexRelations(context.horizontalRelations),
+            horizontalReflexive: utils.indexRelations(context.horizontalReflexiveRelations)
+        };
+        ['succession', 'support', 'material', 'manifestation', 'transformation'].forEach(category => {
+            context.index[category] = utils.indexRelations(context[category + 'Relations']);
+        });
+
+        return context;
+    }
+
+    const SEVERITIES = ['error', 'warning', 'info'];
+    const MARKERS = { error: '[!!]', warning: '[! ]', info: '[i ]' };
+    const HEADINGS = { error: 'ERRORS', warning: 'WARNINGS', info: 'INFORMATION' };
+
+    // Wording of a comparison with a baseline, or with the previous version of the model (see summary.changes)
+    const COMPARISONS = {
+        baseline: { added: 'new', removed: 'resolved since baseline', none: 'No new violations: all of them are accepted by the baseline.' },
+        changes: { added: 'introduced', removed: 'fixed', none: 'No introduced violations: all of them were present in the previous version.' }
+    };
+
+    /**
+     * Looks up a rule profile from config.PROFILES.
+     * @param {string} name
+     * @returns {{name: string, disabled: string[], severities: object}}
+     * @throws {Error} If the profile is unknown or configures an invalid severity.
+     */
+    function getProfile(name) {
+        const profile = config.PROFILES[name];
+        if (!profile) throw new Error(`Unknown rule profile '${name}', expected one of: ${Object.keys(config.PROFILES).join(', ')}`);
+        const severities = profile.severities || {};
+        Object.keys(severities).forEach(ruleId => {
+            if (!SEVERITIES.includes(severities[ruleId])) {
+                throw new Error(`Invalid severity '${severities[ruleId]}' for ${ruleId} in profile '${name}', expected one of: ${SEVERITIES.join(', ')}`);
+            }
+        });
+        return { name: name, disabled: profile.disabled || [], severities: severities };
+    }
+
+    /**
+     * Returns the severity of a rule in a profile. Rules without a configured severity are errors.
+     * @param {object} profile - See getProfile.
+     * @param {string} ruleId
+     * @returns {string} 'error', 'warning' or 'info'
+     */
+    function getSeverity(profile, ruleId) {
+        return profile.severities[ruleId] || 'error';
+    }
+
+    function isCollection(thing) {
+        return Boolean(thing) && ['each', 'filter', 'map', 'size'].every(f => typeof thing[f] === 'function');
+    }
+
+    /**
+     * Checks the value returned by a rule's validate function.
+     * @param {object} rule
+     * @param {*} result
+     * @throws {Error} If the result does not have the {id, violations} shape.
+     */
+    function checkResult(rule, result) {
+        if (!result || typeof result !== 'object') throw new Error(`validate returned ${result}, expected {id, violations}`);
+        if (result.id !== rule.id) throw new Error(`validate returned id '${result.id}', expected '${rule.id}'`);
+        if (!isCollection(result.violations)) throw new Error('validate returned violations that are not a collection, use $() to build them');
+        ['scope', 'candidates'].forEach(key => {
+            if (result[key] !== undefined && !isCollection(result[key])) throw new Error(`validate returned a ${key} that is not a collection`);
+        });
+        ['details', 'evidence'].forEach(key => {
+            if (result[key] !== undefined && (!result[key] || typeof result[key] !== 'object')) {
+                throw new Error(`validate returned ${key} that are not an object keyed by concept id`);
+            }
+        });
+    }
+
+    /**
+     * Compares the scope a rule checked in partial mode with its candidates, the scope before narrowing it
+     * to the levels at which the selected relationships allow a reliable check.
+     * @param {object} coverage - {unchecked: string[], narrowed: object[]}
+     * @param {object} result - The rule's result in partial mode, with a scope and candidates.
+     */
+    function updateCoverage(coverage, result) {
+        const candidates = result.candidates.size();
+        const checked = result.scope.size();
+        if (checked >= candidates) return;
+        if (checked === 0) coverage.unchecked.push(result.id);
+        else coverage.narrowed.push({ ruleId: result.id, checked: checked, candidates: candidates });
+    }
+
+    /**
+     * Derives a context without the elements whose place in the hierarchy is ambiguous: elements with multiple parents
+     * or below one, and elements in or below a cycle. Relationships with such an element at either end are left out too.
+     * @param {object} context
+     * @returns {{context: object, excluded: collection}}
+     */
+    function sanitize(context) {
+        const isAmbiguous = e => utils.isCyclic(e) || [e].concat(utils.getAncestors(e)).some(utils.hasMultipleParents);
+        const excluded = context.elements.filter(isAmbiguous);
+        const elements = context.elements.filter(e => !isAmbiguous(e));
+        const relationships = context.relationships.filter(r => !isAmbiguous(r.source) && !isAmbiguous(r.target));
+        return { context: createContext(elements, relationships, context.partial, context.scopeName), excluded: excluded };
+    }
+
+    /**
+     * Drops the violations a rule only finds in the sanitized context. These are artifacts of leaving out the ambiguous
+     * elements, e.g. a stage whose only realizing capability was excluded, so a provisional result never adds violations.
+     * If the rule cannot be run against the unsanitized context, its sanitized result is kept as it is.
+     * @param {object} rule
+     * @param {object} result - The rule's result in the sanitized context.
+     * @param {object} context - The unsanitized context.
+     */
+    function dropArtifacts(rule, result, context) {
+        let unsanitized;
+        try {
+            unsanitized = rule.validate(context);
+            checkResult(rule, unsanitized);
+        } catch (error) {
+            return;
+        }
+        const confirmed = new Set(unsanitized.violations.map(v => v.id));
+        result.violations = result.violations.filter(v => confirmed.has(v.id));
+    }
+
+    /**
+     * Checks if a concept is one of the focused concepts, or a relationship with an end among them.
+     * @param {object} concept
+     * @param {Set<string>} focus - Concept ids.
+     * @returns {boolean}
+     */
+    function isFocused(concept, focus) {
+        return focus.has(concept.id) || (utils.isRelationship(concept) && (focus.has(concept.source.id) || focus.has(concept.target.id)));
+    }
+
+    /**
+     * Checks if a rule has anything to check among the focused concepts, by running it against a copy of the context
+     * whose collections only hold those concepts. The indexes still cover the whole context.
+     * @param {object} rule
+     * @param {object} context
+     * @param {Set<string>} focus - Concept ids.
+     * @returns {boolean} True if the rule's scope includes focused concepts, or if the rule returns no scope.
+     */
+    function isAffected(rule, context, focus) {
+        const focused = Object.assign({}, context);
+        Object.keys(context).filter(key => isCollection(context[key])).forEach(key => {
+            focused[key] = context[key].filter(c => isFocused(c, focus));
+        });
+        const probe = rule.validate(focused);
+        return !probe || !isCollection(probe.scope) || probe.scope.size() > 0;
+    }
+
+    /**
+     * Runs the rules enabled by the profile against the context, skipping suppressed concepts for the rules they name.
+     * A rule that throws or returns a malformed result is listed in summary.ruleErrors instead of stopping the run.
+     * In partial mode, summary.coverage lists the rules that the scope narrowed or left with nothing to check.
+     * A rule whose dependencies (dependsOn) failed or could not be run is gated as set by config.GATING.mode:
+     * it runs against a sanitized context, keeping only the violations it also finds without sanitizing, and its result
+     * is marked provisional, or it is skipped. summary.gating
+     * lists the failed dependencies and the gated rules.
+     * With a focus, only the rules whose scope includes focused concepts run, and only their violations among the
+     * focused concepts are kept; summary.focus lists the unaffected rules.
+     * @param {object} context
+     * @param {string} [profileName] - Defaults to config.PROFILE.
+     * @param {Set<string>} [focus] - Ids of the concepts to focus on, e.g. the changes since a previous version.
+     * @param {string[]} [affected] - Ids of rules to run with a focus even if they seem unaffected, e.g. the rules
+     *   affected in the previous version.
+     * @returns {{results: object[], summary: object}}
+     */
+    function validate(context, profileName = config.PROFILE, focus = null, affected = []) {
+        const profile = getProfile(profileName);
+        const results = [];
+        const summary = { profile: profile.name, passed: [], failed: [], skipped: [], ruleErrors: [], totalViolations: 0, severities: {} };
+        if (context.partial) summary.coverage = { scope: context.scopeName, unchecked: [], narrowed: [] };
+        if (focus) summary.focus = { concepts: focus.size, unaffected: [] };
+        SEVERITIES.forEach(severity => summary.severities[severity] = 0);
+        const suppressionIndex = config.SUPPRESSION.enabled ? suppressions.collect(context) : null;
+        const gating = { mode: config.GATING.mode, failed: [], excluded: $(), provisional: [], skipped: [] };
+        let sanitized = null; // created when the first rule is gated
+
+        rules.forEach(rule => {
+            if (profile.disabled.includes(rule.id)) {
+                summary.skipped.push(rule.id);
+                return;
+            }
+
+            // Gate on failed dependencies
+            let ruleContext = context;
+            const failedDependencies = (rule.dependsOn || []).filter(id =>
+                summary.failed.includes(id) || summary.ruleErrors.some(e => e.ruleId === id));
+            if (gating.mode !== 'off' && failedDependencies.length > 0) {
+                failedDependencies.forEach(id => gating.failed.includes(id) || gating.failed.push(id));
+                if (gating.mode === 'skip') {
+                    gating.skipped.push(rule.id);
+                    return;
+                }
+                if (!sanitized) {
+                    sanitized = sanitize(context);
+                    gating.excluded = sanitized.excluded;
+                }
+                ruleContext = sanitized.context;
+            }
+
+            // Validate
+            let result;
+            try {
+                if (focus && !affected.includes(rule.id) && !isAffected(rule, ruleContext, focus)) {
+                    summary.focus.unaffected.push(rule.id);
+                    return;
+                }
+                result = rule.validate(ruleContext);
+                checkResult(rule, result);
+                if (ruleContext !== context) dropArtifacts(rule, result, context);
+                if (focus) result.violations = result.violations.filter(v => isFocused(v, focus));
+                if (summary.coverage && result.scope && result.candidates) updateCoverage(summary.coverage, result);
+            } catch (error) {
+                summary.ruleErrors.push({ ruleId: rule.id, source: rule.source, message: '' + (error.message || error) });
+                return;
+            }
+            if (suppressionIndex) suppressions.apply(result, suppressionIndex);
+
+            // Add metadata to result
+            result.name = rule.name;
+            result.statement = rule.statement;
+            result.severity = getSeverity(profile, rule.id);
+            result.violationCount = result.violations.size();
+            if (ruleContext !== context) {
+                result.provisional = true;
+                gating.provisional.push(rule.id);
+            }
+
+            results.push(result);
+
+            // Update summary
+            summary.totalViolations += result.violationCount;
+            summary.severities[result.severity] += result.violationCount;
+            if (result.violationCount === 0) {
+                summary.passed.push(rule.id);
+            } else {
+                summary.failed.push(rule.id);
+            }
+        });
+
+        if (suppressionIndex) summary.suppressions = suppressions.summarize(suppressionIndex, results, results.map(res => res.id));
+        if (suppressionIndex && focus) {
+            // Only suppressions of focused concepts could have been matched
+            summary.suppressions.stale = summary.suppressions.stale.filter(s => isFocused(s.concept, focus));
+        }
+        if (suppressionIndex && context.partial) {
+            // Only suppressions of concepts in the scope a rule was narrowed to could have been matched
+            const scoped = {};
+            results.forEach(res => scoped[res.id] = new Set((res.scope || context.elements.clone().add(context.relationships)).map(c => c.id)));
+            summary.suppressions.stale = summary.suppressions.stale.filter(s => scoped[s.ruleId].has(s.concept.id));
+        }
+        if (gating.failed.length > 0) summary.gating = gating;
+
+        return { results: results, summary: summary };
+    }
+
+    /**
+     * Returns the violations of a result that count towards the overall status: with a baseline, only new ones.
+     * @param {object} result
+     * @returns {collection}
+     */
+    function getCountedViolations(result) {
+        return result.newViolations || result.violations;
+    }
+
+    /**
+     * Determines the overall status: failed if any rule of severity 'error' has (new) violations.
+     * @param {object[]} results
+     * @returns {string} 'PASSED' or 'FAILED'
+     */
+    function getStatus(results) {
+        const failed = results.some(res => res.severity === 'error' && getCountedViolations(res).size() > 0);
+        return failed ? 'FAILED' : 'PASSED';
+    }
+
+    /**
+     * Prints the applied, stale and invalid suppressions, if there are any.
+     * @param {object} suppressionSummary
+     */
+    function reportSuppressions(suppressionSummary) {
+        const { applied, stale, invalid } = suppressionSummary;
+        if (applied + stale.length + invalid.length === 0) return;
+
+        console.log('SUPPRESSIONS (' + config.SUPPRESSION.property + '):');
+        console.log('  - Applied: ' + applied);
+        if (stale.length > 0) {
+            console.log('  - Stale, no longer matching a violation: ' + stale.length);
+            stale.forEach(s => console.log('    - ' + utils.getLabel(s.concept) + ' [' + s.ruleId + ']'));
+        }
+        if (invalid.length > 0) {
+            console.log('  - Ignored, missing ' + config.SUPPRESSION.reasonProperty + ': ' + invalid.length);
+            invalid.forEach(c => console.log('    - ' + utils.getLabel(c)));
+        }
+        console.log();
+    }
+
+    /**
+     * Prints how the violation counts changed since the previous and the first recorded run.
+     * @param {object} trend - See history.compare.
+     */
+    function reportTrend(trend) {
+        const format = change => change === null ? 'n/a' : (change > 0 ? '+' : '') + change;
+        const describe = t => t.count + ' (' + format(t.sincePrevious) + ' since the previous run, ' + format(t.sinceFirst) + ' since the first run)';
+        console.log('TREND (' + trend.runs + ' recorded runs, the previous on ' + trend.previous + ', the first on ' + trend.first + '):');
+        console.log('  - Total: ' + describe(trend.total));
+        const listed = trend.rules.filter(t => t.count > 0 || t.sincePrevious || t.sinceFirst);
+        listed.forEach(t => console.log('  - ' + t.ruleId + ': ' + describe(t)));
+        if (listed.length < trend.rules.length) console.log('  - Other rules: no violations, as in the recorded runs');
+        console.log();
+    }
+
+    /**
+     * Prints the details of a failed rule with examples of its violations.
+     * @param {object} res
+     * @param {object} hooks
+     * @param {object} comparison - The wording of a baseline comparison, see COMPARISONS.
+     */
+    function reportResult(res, hooks, comparison) {
+        const examples = getCountedViolations(res);
+        const provisional = res.provisional ? ', provisional' : '';
+        console.log();
+        if (res.newViolations) {
+            console.log(MARKERS[res.severity] + ' ' + res.id + ' - ' + res.name + ': ' + res.violationCount + ' violations ('
+                + res.newViolations.size() + ' ' + comparison.added + ', ' + res.baselineViolations.size() + ' still present, '
+                + res.resolvedViolations.length + ' ' + comparison.removed + provisional + ')');
+        } else {
+            console.log(MARKERS[res.severity] + ' ' + res.id + ' - ' + res.name + ': ' + res.violationCount + ' violations'
+                + (res.provisional ? ' (provisional)' : ''));
+        }
+        console.log('----------------------------------------------------------------------');
+        console.log('  * Statement: ' + res.statement);
+        if (examples.size() === 0) {
+            console.log('  * ' + comparison.none);
+            console.log('');
+            return;
+        }
+        console.log(res.newViolations ? '  * Examples of ' + comparison.added + ' violating items:' : '  * Examples of violating items:');
+        let count = 0;
+        examples.each(function(v) {
+            if(count < config.VIOLATION_EXAMPLES) {
+                const detail = res.details && res.details[v.id];
+                const evidence = res.evidence && res.evidence[v.id];
+                console.log('    - ' + utils.getLabel(v) + (detail ? ' (' + detail + ')' : ''));
+                if (config.EXPLAIN.enabled && evidence && Array.isArray(evidence.explanation)) evidence.explanation.forEach(line => console.log('        > ' + line));
+                count++;
+            }
+        });
+        console.log('');
+        if (hooks.afterRule) hooks.afterRule(res);
+    }
+
+    /**
+     * Prints the validation report to the console, with the failed rules grouped by severity.
+     * @param {object[]} results
+     * @param {object} summary
+     * @param {object} [hooks]
+     * @param {function} [hooks.afterRule] - Called with each failed result after its examples are printed.
+     */
+    function report(results, summary, hooks = {}) {
+        console.log('======================================================================');
+        console.log('                      VALIDATION REPORT');
+        console.log('======================================================================');
+        console.log();
+        console.log('OVERALL STATUS: ' + getStatus(results));
+        console.log('RULE PROFILE: ' + summary.profile);
+        console.log();
+        if (summary.coverage) {
+            const { scope, unchecked, narrowed } = summary.coverage;
+            console.log('SCOPE: ' + scope);
+            if (unchecked.length + narrowed.length === 0) console.log('  - All rules checked everything in scope.');
+            if (unchecked.length > 0) console.log('  - Skipped, nothing in scope can be checked reliably: ' + unchecked.join(', '));
+            if (narrowed.length > 0) {
+                console.log('  - Narrowed to the levels the scope covers:');
+                narrowed.forEach(n => console.log('    - ' + n.ruleId + ': ' + n.checked + ' of ' + n.candidates + ' checked'));
+            }
+            console.log();
+        }
+        if (summary.gating) {
+            const { failed, excluded, provisional, skipped } = summary.gating;
+            console.log('STRUCTURAL GATING (' + failed.join(', ') + ' failed, the hierarchy is unreliable):');
+            if (provisional.length > 0) {
+                console.log('  - Provisional, checked without the ' + excluded.size()
+                    + ' elements with multiple parents or in or below a cycle: ' + provisional.join(', '));
+            }
+            if (skipped.length > 0) console.log('  - Skipped until ' + failed.join(', ') + ' pass: ' + skipped.join(', '));
+            console.log();
+        }
+        if (summary.changes) {
+            const { since, added, removed, changed, affected } = summary.changes;
+            console.log('CHANGES SINCE ' + since + ':');
+            console.log('  - Concepts added: ' + added + ', removed: ' + removed + ', changed: ' + changed
+                + ' (' + affected + ' checked, including their hierarchy neighbours)');
+            console.log('  - Rules re-run: ' + (results.length > 0 ? results.map(res => res.id).join(', ') : 'none'));
+            if (summary.focus.unaffected.length > 0) console.log('  - Rules unaffected: ' + summary.focus.unaffected.join(', '));
+            console.log('  - Introduced violations: ' + summary.baseline.newViolations);
+            console.log('  - Fixed violations: ' + summary.baseline.resolvedViolations);
+            console.log();
+        } else if (summary.baseline) {
+            console.log('BASELINE COMPARISON (baseline of ' + summary.baseline.created + '):');
+            console.log('  - New: ' + summary.baseline.newViolations);
+            console.log('  - Still present: ' + summary.baseline.existingViolations);
+            console.log('  - Resolved since baseline: ' + summary.baseline.resolvedViolations);
+            console.log();
+        }
+        if (summary.ruleErrors.length > 0) {
+            console.log('RULE ERRORS (rules that could not be run):');
+            summary.ruleErrors.forEach(e => console.log('  - ' + e.ruleId + (e.source ? ' (' + e.source + ')' : '') + ': ' + e.message));
+            console.log();
+        }
+        if (summary.suppressions) reportSuppressions(summary.suppressions);
+        if (summary.trend) reportTrend(summary.trend);
+        if (summary.totalViolations > 0) {
+            console.log('VIOLATION SUMMARY:')
+            console.log('  - Total Violations: ' + summary.totalViolations + ' ('
+                + SEVERITIES.map(severity => summary.severities[severity] + ' ' + HEADINGS[severity].toLowerCase()).join(', ') + ')');
+            console.log('  - Rules Passed: ' + summary.passed.join(', '));
+            console.log('  - Rules Failed: ' + summary.failed.join(', '));
+            if (summary.skipped.length > 0) console.log('  - Rules Skipped: ' + summary.skipped.join(', '));
+            console.log();
+            console.log('NOTE: Fix C0, C1 and C2 violations before proceeding to the other ones.');
+            console.log();
+            SEVERITIES.forEach(severity => {
+                const failed = results.filter(res => res.severity === severity && res.violationCount > 0);
+                if (failed.length === 0) return;
+                console.log('----------------------------------------------------------------------');
+                console.log('                   ' + HEADINGS[severity]);
+                console.log('----------------------------------------------------------------------');
+                failed.forEach(res => reportResult(res, hooks, summary.changes ? COMPARISONS.changes : COMPARISONS.baseline));
+            });
+        }
+    }
+
+    return {
+        createContext: createContext,
+        getProfile: getProfile,
+        validate: validate,
+        getStatus: getStatus,
+        report: report
+    };
+
+})();
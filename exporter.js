@@ -0,0 +1,422 @@
+/**
+ * COVO Result Exporter
+ * Serializes the complete validation results as JSON, JUnit XML or SARIF, for dashboards and CI,
+ * or as a standalone HTML report for reviews.
+ */
+var exporter = (function() {
+
+    const FORMATS = {
+        json: { extension: '.json', serialize: toJson },
+        junit: { extension: '.junit.xml', serialize: toJUnit },
+        sarif: { extension: '.sarif', serialize: toSarif },
+        html: { extension: '.html', serialize: toHtml }
+    };
+
+    /**
+     * Describes a concept by its identifying attributes.
+     * @param {object} concept
+     * @returns {object}
+     */
+    function describeConcept(concept) {
+        return { id: concept.id, type: concept.type, name: concept.name || '' };
+    }
+
+    /**
+     * Describes a violating concept, including its ends if it is a relationship.
+     * @param {object} concept
+     * @param {string} ruleId
+     * @returns {object}
+     */
+    function describeViolation(concept, ruleId) {
+        const violation = describeConcept(concept);
+        violation.ruleId = ruleId;
+        if (utils.isRelationship(concept)) {
+            violation.source = describeConcept(concept.source);
+            violation.target = describeConcept(concept.target);
+        }
+        return violation;
+    }
+
+    /**
+     * Tells whether a violation is new or was already accepted by the baseline.
+     * @param {object} result - A result compared against a baseline.
+     * @param {object} violation
+     * @returns {string} 'new' or 'unchanged'
+     */
+    function getBaselineState(result, violation) {
+        return result.baselineViolations.filter(v => v.id === violation.id).size() > 0 ? 'unchanged' : 'new';
+    }
+
+    /**
+     * Builds a plain data structure holding all results, without truncation.
+     * @param {object[]} results
+     * @param {object} summary
+     * @param {object} meta - {model: string, timestamp: string, file?: string, metrics?: object}
+     * @returns {object}
+     */
+    function toData(results, summary, meta) {
+        return {
+            model: meta.model,
+            file: meta.file,
+            timestamp: meta.timestamp,
+            status: engine.getStatus(results),
+            profile: summary.profile,
+            summary: {
+                totalViolations: summary.totalViolations,
+                passed: summary.passed,
+                failed: summary.failed,
+                skipped: summary.skipped,
+                ruleErrors: summary.ruleErrors,
+                coverage: summary.coverage,
+                changes: summary.changes && Object.assign({ unaffected: summary.focus.unaffected }, summary.changes),
+                gating: summary.gating && {
+                    mode: summary.gating.mode,
+                    failed: summary.gating.failed,
+                    excluded: summary.gating.excluded.map(e => describeConcept(e)),
+                    provisional: summary.gating.provisional,
+                    skipped: summary.gating.skipped
+                },
+                severities: summary.severities,
+                baseline: summary.baseline,
+                trend: summary.trend,
+                suppressions: summary.suppressions && {
+                    applied: summary.suppressions.applied,
+                    stale: summary.suppressions.stale.map(s => describeViolation(s.concept, s.ruleId)),
+                    invalid: summary.suppressions.invalid.map(c => describeConcept(c))
+                }
+            },
+            rules: results.map(res => ({
+                id: res.id,
+                name: res.name,
+                statement: res.statement,
+                severity: res.severity,
+                provisional: res.provisional,
+                violationCount: res.violationCount,
+                violations: res.violations.map(v => {
+                    const violation = describeViolation(v, res.id);
+                    if (res.details && res.details[v.id]) violation.detail = res.details[v.id];
+                    if (res.evidence && res.evidence[v.id]) violation.evidence = res.evidence[v.id];
+                    if (res.baselineViolations) violation.baselineState = getBaselineState(res, v);
+                    return violation;
+                }),
+                suppressed: (res.suppressed || $()).map(v => {
+                    const violation = describeViolation(v, res.id);
+                    violation.reason = suppressions.getReason(v);
+                    return violation;
+                })
+            })),
+            metrics: meta.metrics && metrics.toData(meta.metrics)
+        };
+    }
+
+    function toJson(results, summary, meta) {
+        return JSON.stringify(toData(results, summary, meta), null, 2);
+    }
+
+    /**
+     * Escapes text for use in XML content and attribute values.
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * One test suite with one test case per rule; each violation is a line in the failure body.
+     * Only rules of severity 'error' fail, and with a baseline only on new violations.
+     * Violations of warnings and info rules are listed as output; rules disabled by the profile or gated by failed
+     * dependencies are skipped, and rules that could not be run are errors.
+     */
+    function toJUnit(results, summary, meta) {
+        const lines = [];
+        const isFailing = res => res.severity === 'error' && (res.newViolations || res.violations).size() > 0;
+        const failures = results.filter(isFailing).length;
+        const gated = summary.gating ? summary.gating.skipped : [];
+        const skipped = summary.skipped.length + gated.length;
+        const tests = results.length + skipped + summary.ruleErrors.length;
+        const suite = `tests="${tests}" failures="${failures}" errors="${summary.ruleErrors.length}" skipped="${skipped}"`;
+        lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+        lines.push(`<testsuites name="COVO Validator" ${suite}>`);
+        lines.push(`  <testsuite name="${escapeXml(meta.model)}" ${suite} timestamp="${escapeXml(meta.timestamp)}">`);
+        results.forEach(res => {
+            const reported = res.newViolations || res.violations;
+            const testcase = `    <testcase classname="covo" name="${escapeXml(res.id + ' - ' + res.name)}"`;
+            if (reported.size() === 0) {
+                lines.push(testcase + '/>');
+                return;
+            }
+            lines.push(testcase + '>');
+            if (isFailing(res)) {
+                const count = reported.size() + (res.provisional ? ' provisional' : '') + ' violations: ';
+                lines.push(`      <failure type="${escapeXml(res.id)}" message="${escapeXml(count + res.statement)}">`);
+                reported.each(v => lines.push(escapeXml(`[${v.id}] ${v.type}: ${utils.getLabel(v)}`)));
+                lines.push('      </failure>');
+            } else {
+                lines.push(`      <system-out>${escapeXml(res.severity + ': ' + reported.size() + ' violations')}`);
+                reported.each(v => lines.push(escapeXml(`[${v.id}] ${v.type}: ${utils.getLabel(v)}`)));
+                lines.push('      </system-out>');
+            }
+            lines.push('    </testcase>');
+        });
+        summary.skipped.forEach(ruleId => {
+            const rule = rules.find(r => r.id === ruleId);
+            lines.push(`    <testcase classname="covo" name="${escapeXml(rule.id + ' - ' + rule.name)}">`);
+            lines.push(`      <skipped message="${escapeXml('disabled by rule profile ' + summary.profile)}"/>`);
+            lines.push('    </testcase>');
+        });
+        gated.forEach(ruleId => {
+            const rule = rules.find(r => r.id === ruleId);
+            lines.push(`    <testcase classname="covo" name="${escapeXml(rule.id + ' - ' + rule.name)}">`);
+            lines.push(`      <skipped message="${escapeXml('skipped until ' + summary.gating.failed.join(', ') + ' pass')}"/>`);
+            lines.push('    </testcase>');
+        });
+        summary.ruleErrors.forEach(e => {
+            const rule = rules.find(r => r.id === e.ruleId);
+            lines.push(`    <testcase classname="covo" name="${escapeXml(rule.id + ' - ' + rule.name)}">`);
+            lines.push(`      <error message="${escapeXml(e.message)}"/>`);
+            lines.push('    </testcase>');
+        });
+        lines.push('  </testsuite>');
+        lines.push('</testsuites>');
+        return lines.join('\n');
+    }
+
+    const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+    /**
+     * A SARIF 2.1.0 log. Violating concepts are reported as logical locations within the model file.
+     */
+    function toSarif(results, summary, meta) {
+        const toSarifResult = (res, ruleIndex, v) => {
+            const location = {
+                logicalLocations: [{ name: v.name || v.type, fullyQualifiedName: v.id, kind: v.type }]
+            };
+            if (meta.file) location.physicalLocation = { artifactLocation: { uri: meta.file } };
+            const evidence = res.evidence && res.evidence[v.id];
+            const properties = describeViolation(v, res.id);
+            if (evidence) properties.evidence = evidence.facts;
+            if (res.provisional) properties.provisional = true;
+            return {
+                ruleId: res.id,
+                ruleIndex: ruleIndex,
+                level: SARIF_LEVELS[res.severity],
+                message: { text: `${res.name}: ${utils.getLabel(v)}` + (evidence && Array.isArray(evidence.explanation) ? ` (${evidence.explanation.join('; ')})` : '') },
+                locations: [location],
+                properties: properties
+            };
+        };
+
+        const sarifResults = [];
+        results.forEach((res, ruleIndex) => {
+            res.violations.each(v => {
+                const sarifResult = toSarifResult(res, ruleIndex, v);
+                if (res.baselineViolations) sarifResult.baselineState = getBaselineState(res, v);
+                sarifResults.push(sarifResult);
+            });
+            (res.suppressed || $()).each(v => {
+                const sarifResult = toSarifResult(res, ruleIndex, v);
+                sarifResult.suppressions = [{ kind: 'inSource', justification: suppressions.getReason(v) }];
+                sarifResults.push(sarifResult);
+            });
+        });
+
+        return JSON.stringify({
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'COVO Validator',
+                        rules: results.map(res => ({
+                            id: res.id,
+                            name: res.name,
+                            shortDescription: { text: res.name },
+                            fullDescription: { text: res.statement },
+                            defaultConfiguration: { level: SARIF_LEVELS[res.severity] }
+                        }))
+                    }
+                },
+                invocations: [{
+                    executionSuccessful: summary.ruleErrors.length === 0,
+                    endTimeUtc: meta.timestamp,
+                    toolExecutionNotifications: summary.ruleErrors.map(e => ({
+                        level: 'error',
+                        message: { text: `${e.ruleId} could not be run: ${e.message}` },
+                        associatedRule: { id: e.ruleId }
+                    }))
+                }],
+                properties: { model: meta.model, profile: summary.profile },
+                results: sarifResults
+            }]
+        }, null, 2);
+    }
+
+    const HTML_STYLE = [
+        'body { font-family: sans-serif; margin: 2em; color: #222; }',
+        'table { border-collapse: collapse; width: 100%; margin-bottom: 2em; }',
+        'th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }',
+        'th { background: #eee; }',
+        '.status { display: inline-block; padding: 4px 12px; color: #fff; font-weight: bold; }',
+        '.PASSED { background: #2e7d32; } .FAILED { background: #c62828; }',
+        '.error { color: #c62828; } .warning { color: #ef6c00; } .info { color: #1565c0; }',
+        '.explanation { color: #555; font-size: 90%; }',
+        '#filters { margin-bottom: 1em; } #filters > * { margin-right: 1em; }'
+    ];
+
+    // Filters the violation rows by the search text and the selected rule, severity and state
+    const HTML_SCRIPT = [
+        'function filterViolations() {',
+        '    var text = document.getElementById("search").value.toLowerCase();',
+        '    var selects = ["rule", "severity", "state"].map(function(f) { return [f, document.getElementById(f).value]; });',
+        '    var rows = document.querySelectorAll("#violations tbody tr"), shown = 0;',
+        '    for (var i = 0; i < rows.length; i++) {',
+        '        var row = rows[i];',
+        '        var visible = row.textContent.toLowerCase().indexOf(text) !== -1',
+        '            && selects.every(function(s) { return s[1] === "" || row.getAttribute("data-" + s[0]) === s[1]; });',
+        '        row.style.display = visible ? "" : "none";',
+        '        if (visible) shown++;',
+        '    }',
+        '    document.getElementById("shown").textContent = shown + " of " + rows.length + " shown";',
+        '}'
+    ];
+
+    /**
+     * A self-contained HTML page, without external assets: the overall status, the hierarchy statistics and maturity
+     * scores (if meta holds them), a table of all rules and the full violation list with search and filters.
+     */
+    function toHtml(results, summary, meta) {
+        const data = toData(results, summary, meta);
+        const esc = escapeXml;
+        const lines = [];
+        const options = values => values.map(v => `<option value="${esc(v)}">${esc(v)}</option>`).join('');
+
+        lines.push('<!DOCTYPE html>');
+        lines.push('<html lang="en">');
+        lines.push('<head>');
+        lines.push('<meta charset="UTF-8">');
+        lines.push(`<title>COVO Validation Report - ${esc(data.model)}</title>`);
+        lines.push('<style>', ...HTML_STYLE, '</style>');
+        lines.push('</head>');
+        lines.push('<body>');
+        lines.push(`<h1>COVO Validation Report: ${esc(data.model)}</h1>`);
+        lines.push(`<p><span class="status ${data.status}">${data.status}</span></p>`);
+        lines.push(`<p>Validated on ${esc(data.timestamp)} with rule profile <b>${esc(data.profile)}</b>`
+            + (data.file ? ` (${esc(data.file)})` : '') + '.</p>');
+        lines.push(`<p>${data.summary.totalViolations} violations: `
+            + Object.keys(data.summary.severities).map(s => `${data.summary.severities[s]} ${s}`).join(', ')
+            + (data.summary.changes ? `; ${data.summary.baseline.newViolations} introduced and ${data.summary.baseline.resolvedViolations} fixed since ${esc(data.summary.changes.since)}`
+                : data.summary.baseline ? `; ${data.summary.baseline.newViolations} new since the baseline of ${esc(data.summary.baseline.created)}` : '')
+            + '.</p>');
+        if (data.summary.gating) {
+            const { failed, excluded, provisional, skipped } = data.summary.gating;
+            lines.push(`<p class="warning">${esc(failed.join(', '))} failed, so the hierarchy is unreliable: `
+                + (provisional.length > 0 ? `${esc(provisional.join(', '))} are provisional, checked without ${excluded.length} elements with multiple parents or in or below a cycle` : '')
+                + (provisional.length > 0 && skipped.length > 0 ? '; ' : '')
+                + (skipped.length > 0 ? `${esc(skipped.join(', '))} are skipped` : '')
+                + '.</p>');
+        }
+
+        if (meta.statistics) {
+            lines.push('<h2>Hierarchy</h2>');
+            lines.push('<table>');
+            lines.push('<tr><th>Role</th><th>Type</th><th>Elements</th><th>Top-level</th><th>Leaves</th><th>Max depth</th><th>Elements per level</th></tr>');
+            meta.statistics.forEach(s => lines.push(`<tr><td>${s.role}</td><td>${esc(s.type)}</td><td>${s.elements}</td><td>${s.roots}</td>`
+                + `<td>${s.leaves}</td><td>${s.maxDepth < 0 ? '' : s.maxDepth}</td><td>${s.levels.map((n, level) => 'L' + level + ': ' + n).join(', ')}</td></tr>`));
+            lines.push('</table>');
+        }
+
+        if (meta.metrics) {
+            const percentage = value => value === null ? '' : Math.round(value * 100) + '%';
+            lines.push('<h2>Maturity</h2>');
+            lines.push('<table>');
+            lines.push('<tr><th>Top-level hierarchy</th><th>Role</th><th>Elements</th><th>Compliance</th><th>Consistency</th><th>Connectedness</th><th>Score</th></tr>');
+            meta.metrics.hierarchies.forEach(h => lines.push(`<tr><td>${esc(utils.getLabel(h.root))}</td><td>${h.role}</td><td>${h.elements}</td>`
+                + `<td>${percentage(h.indicators.compliance)}</td><td>${percentage(h.indicators.consistency)}</td>`
+                + `<td>${percentage(h.indicators.connectedness)}</td><td>${h.score === null ? '' : h.score}</td></tr>`));
+            lines.push('</table>');
+        }
+
+        lines.push('<h2>Rules</h2>');
+        lines.push('<table>');
+        lines.push('<tr><th>Rule</th><th>Name</th><th>Severity</th><th>Statement</th><th>Violations</th><th>Suppressed</th></tr>');
+        data.rules.forEach(rule => lines.push(`<tr><td>${esc(rule.id)}</td><td>${esc(rule.name)}</td><td class="${rule.severity}">${rule.severity}</td>`
+            + `<td>${esc(rule.statement)}</td><td>${rule.violationCount}${rule.provisional ? ' (provisional)' : ''}</td><td>${rule.suppressed.length}</td></tr>`));
+        summary.skipped.concat(summary.gating ? summary.gating.skipped : []).forEach(ruleId => {
+            const rule = rules.find(r => r.id === ruleId);
+            lines.push(`<tr><td>${esc(rule.id)}</td><td>${esc(rule.name)}</td><td>skipped</td><td>${esc(rule.statement)}</td><td></td><td></td></tr>`);
+        });
+        summary.ruleErrors.forEach(e => lines.push(`<tr><td>${esc(e.ruleId)}</td><td colspan="5" class="error">Could not be run: ${esc(e.message)}</td></tr>`));
+        lines.push('</table>');
+
+        const rows = [];
+        const states = new Set();
+        data.rules.forEach(rule => {
+            const addRow = (v, state, explanation) => {
+                states.add(state);
+                rows.push(
+                    `<tr data-rule="${esc(rule.id)}" data-severity="${rule.severity}" data-state="${state}">`
+                    + `<td>${esc(rule.id)}</td><td class="${rule.severity}">${rule.severity}</td><td>${state}</td>`
+                    + `<td>${esc(v.source ? v.source.name + ' --> ' + v.target.name : v.name)}</td><td>${esc(v.type)}</td><td>${esc(v.id)}</td>`
+                    + `<td class="explanation">${explanation.map(esc).join('<br>')}</td></tr>`);
+            };
+            rule.violations.forEach(v => addRow(v, v.baselineState || 'open',
+                (v.detail ? [v.detail] : []).concat(v.evidence && Array.isArray(v.evidence.explanation) ? v.evidence.explanation : [])));
+            rule.suppressed.forEach(v => addRow(v, 'suppressed', [v.reason]));
+        });
+
+        lines.push('<h2>Violations</h2>');
+        lines.push('<div id="filters">');
+        lines.push('<input id="search" type="search" placeholder="Search" oninput="filterViolations()">');
+        lines.push(`<select id="rule" onchange="filterViolations()"><option value="">All rules</option>${options(data.rules.map(r => r.id))}</select>`);
+        lines.push(`<select id="severity" onchange="filterViolations()"><option value="">All severities</option>${options(['error', 'warning', 'info'])}</select>`);
+        lines.push(`<select id="state" onchange="filterViolations()"><option value="">All states</option>${options([...states])}</select>`);
+        lines.push(`<span id="shown">${rows.length} of ${rows.length} shown</span>`);
+        lines.push('</div>');
+        lines.push('<table id="violations">');
+        lines.push('<thead><tr><th>Rule</th><th>Severity</th><th>State</th><th>Concept</th><th>Type</th><th>Id</th><th>Explanation</th></tr></thead>');
+        lines.push('<tbody>', ...rows, '</tbody>');
+        lines.push('</table>');
+        lines.push('<script>', ...HTML_SCRIPT, '</script>');
+        lines.push('</body>');
+        lines.push('</html>');
+        return lines.join('\n');
+    }
+
+    /**
+     * Serializes results in the given format.
+     * @param {string} format - 'json', 'junit', 'sarif' or 'html'.
+     * @param {object[]} results
+     * @param {object} summary
+     * @param {object} meta - {model: string, timestamp: string, file?: string, statistics?: object[], metrics?: object}
+     * @returns {string}
+     */
+    function serialize(format, results, summary, meta) {
+        if (!FORMATS[format]) throw new Error(`Unknown export format '${format}', expected one of: ${Object.keys(FORMATS).join(', ')}`);
+        return FORMATS[format].serialize(results, summary, meta);
+    }
+
+    /**
+     * Returns the file extension for the given format.
+     * @param {string} format
+     * @returns {string}
+     */
+    function getExtension(format) {
+        return FORMATS[format].extension;
+    }
+
+    return {
+        FORMATS: Object.keys(FORMATS),
+        describeViolation: describeViolation,
+        toData: toData,
+        escapeXml: escapeXml,
+        serialize: serialize,
+        getExtension: getExtension
+    };
+
+})();
@@ -0,0 +1,125 @@
+/**
+ * COVO Quick-Fix Engine
+ * Collects the repairs offered by the rules, previews them and applies them after confirmation.
+ *
+ * A rule may offer repairs through an optional fix(violation, context) function that returns proposals:
+ *   {action: 'create', type, source, target, reason} - create a relationship
+ *   {action: 'delete', concept, reason}              - delete an element or relationship
+ *   {action: 'flag', concept, key, value, reason}    - mark a concept for review with a property
+ */
+var fixes = (function() {
+
+    /**
+     * Returns a key that identifies what a proposal changes, to avoid proposing the same change twice.
+     * @param {object} proposal
+     * @returns {string}
+     */
+    function getKey(proposal) {
+        if (proposal.action === 'create') return ['create', proposal.type, proposal.source.id, proposal.target.id].join('|');
+        return [proposal.action, proposal.concept.id, proposal.key].join('|');
+    }
+
+    /**
+     * Collects the fixes offered for all violations.
+     * @param {object[]} results
+     * @param {object} context
+     * @returns {object[]} Unique proposals, each tagged with its ruleId.
+     */
+    function propose(results, context) {
+        const proposals = [];
+        const keys = new Set();
+        results.forEach(res => {
+            const rule = rules.find(r => r.id === res.id);
+            if (!rule || typeof rule.fix !== 'function') return;
+            res.violations.each(v => {
+                rule.fix(v, context).forEach(proposal => {
+                    const key = getKey(proposal);
+                    if (keys.has(key)) return;
+                    keys.add(key);
+                    proposal.ruleId = res.id;
+                    proposals.push(proposal);
+                });
+            });
+        });
+        return proposals;
+    }
+
+    /**
+     * Describes a proposal in one line.
+     * @param {object} proposal
+     * @returns {string}
+     */
+    function describe(proposal) {
+        switch (proposal.action) {
+            case 'create': return `CREATE ${proposal.type}: ${proposal.source.name} --> ${proposal.target.name}`;
+            case 'delete': return `DELETE ${proposal.concept.type}: ${utils.getLabel(proposal.concept)}`;
+            case 'flag': return `FLAG ${utils.getLabel(proposal.concept)}: ${proposal.key} = ${proposal.value}`;
+        }
+    }
+
+    /**
+     * Prints the proposed changes, grouped by rule.
+     * @param {object[]} proposals
+     */
+    function preview(proposals) {
+        console.log('----------------------------------------------------------------------');
+        console.log('                   PROPOSED QUICK FIXES');
+        console.log('----------------------------------------------------------------------');
+        rules.forEach(rule => {
+            const ruleProposals = proposals.filter(p => p.ruleId === rule.id);
+            if (ruleProposals.length === 0) return;
+            console.log();
+            console.log('[' + rule.id + '] ' + rule.name + ': ' + ruleProposals.length + ' fixes');
+            ruleProposals.forEach(p => console.log('    - ' + describe(p) + ' (' + p.reason + ')'));
+        });
+        console.log();
+    }
+
+    /**
+     * Asks the user which of the proposals to apply.
+     * @param {object[]} proposals
+     * @returns {object[]} The confirmed proposals (empty if cancelled).
+     */
+    function confirm(proposals) {
+        const choices = {};
+        choices['ALL: apply all ' + proposals.length + ' proposed fixes'] = proposals;
+        rules.forEach(rule => {
+            const ruleProposals = proposals.filter(p => p.ruleId === rule.id);
+            if (ruleProposals.length > 0) choices[rule.id + ': apply ' + ruleProposals.length + ' fixes (' + rule.name + ')'] = ruleProposals;
+        });
+        const choice = '' + window.promptSelection('Apply the proposed fixes? (see console for a preview)', Object.keys(choices));
+        return choices[choice] || []; // user chose to cancel
+    }
+
+    /**
+     * Applies proposals to the model.
+     * @param {object[]} proposals
+     * @returns {{applied: number, failed: object[]}} Failed proposals carry an error message.
+     */
+    function apply(proposals) {
+        const outcome = { applied: 0, failed: [] };
+        proposals.forEach(p => {
+            try {
+                switch (p.action) {
+                    case 'create': model.createRelationship(p.type, '', p.source, p.target); break;
+                    case 'delete': p.concept.delete(); break;
+                    case 'flag': p.concept.prop(p.key, p.value); break;
+                }
+                outcome.applied++;
+            } catch (error) {
+                p.error = '' + error;
+                outcome.failed.push(p);
+            }
+        });
+        return outcome;
+    }
+
+    return {
+        propose: propose,
+        describe: describe,
+        preview: preview,
+        confirm: confirm,
+        apply: apply
+    };
+
+})();
@@ -0,0 +1,108 @@
+/**
+ * COVO Validation History
+ * Keeps a history file (JSON Lines, next to the scripts) with the summary of each full validation run,
+ * and compares the violation counts of the current run with the previous and the first recorded run.
+ */
+var history = (function() {
+
+    /**
+     * Builds the history entry of a validation run.
+     * @param {object[]} results
+     * @param {object} summary
+     * @param {object} meta - {model: string, timestamp: string}
+     * @returns {object}
+     */
+    function createEntry(results, summary, meta) {
+        const counts = {};
+        results.forEach(res => counts[res.id] = res.violationCount);
+        return {
+            model: meta.model,
+            timestamp: meta.timestamp,
+            profile: summary.profile,
+            status: engine.getStatus(results),
+            totalViolations: summary.totalViolations,
+            severities: summary.severities,
+            rules: counts
+        };
+    }
+
+    /**
+     * Loads the recorded runs.
+     * @param {string} path
+     * @returns {object[]} The entries, oldest first, or none if there is no history file.
+     * @throws {Error} If a line is not a recorded run (see createEntry).
+     */
+    function load(path) {
+        const text = io.readFile(path);
+        if (text === null) return [];
+        const entries = [];
+        text.split('\n').forEach((line, i) => {
+            if (line.trim() === '') return;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid history file '${path}' at line ${i + 1}: ${error.message}`);
+            }
+            if (!entry || typeof entry !== 'object' || !entry.rules || typeof entry.rules !== 'object') {
+                throw new Error(`Invalid history file '${path}' at line ${i + 1}: not a recorded run, expected an object with rules`);
+            }
+            entries.push(entry);
+        });
+        return entries;
+    }
+
+    /**
+     * Appends the current run to the history file.
+     * @param {string} path
+     * @param {object[]} results
+     * @param {object} summary
+     * @param {object} meta - {model: string, timestamp: string}
+     */
+    function append(path, results, summary, meta) {
+        const text = io.readFile(path) || '';
+        const line = JSON.stringify(createEntry(results, summary, meta));
+        io.writeFile(path, text + (text === '' || text.endsWith('\n') ? '' : '\n') + line + '\n');
+    }
+
+    /**
+     * Compares the violation counts of the current run with the previous and the first recorded run of the same model.
+     * Adds a trend section to the summary: {runs, first, previous, total, rules}, where total and each rule hold
+     * {count, sincePrevious, sinceFirst}. A rule missing from a recorded run (e.g., disabled) has no change for it.
+     * @param {object[]} results
+     * @param {object} summary
+     * @param {object[]} entries - The recorded runs, see load.
+     * @param {object} meta - {model: string}
+     */
+    function compare(results, summary, entries, meta) {
+        const runs = entries.filter(e => e.model === meta.model);
+        if (runs.length === 0) return;
+
+        const first = runs[0];
+        const previous = runs[runs.length - 1];
+        const change = (count, recorded) => typeof recorded === 'number' ? count - recorded : null;
+        summary.trend = {
+            runs: runs.length,
+            first: first.timestamp,
+            previous: previous.timestamp,
+            total: {
+                count: summary.totalViolations,
+                sincePrevious: change(summary.totalViolations, previous.totalViolations),
+                sinceFirst: change(summary.totalViolations, first.totalViolations)
+            },
+            rules: results.map(res => ({
+                ruleId: res.id,
+                count: res.violationCount,
+                sincePrevious: change(res.violationCount, previous.rules[res.id]),
+                sinceFirst: change(res.violationCount, first.rules[res.id])
+            }))
+        };
+    }
+
+    return {
+        load: load,
+        append: append,
+        compare: compare
+    };
+
+})();
@@ -0,0 +1,55 @@
+(function() {
+
+    // Load dependencies
+    load(__DIR__ + 'config.js');
+    load(__DIR__ + 'io.js');
+    load(__DIR__ + 'rules.js');
+    load(__DIR__ + 'utils.js');
+    load(__DIR__ + 'suppressions.js');
+    load(__DIR__ + 'engine.js');
+    load(__DIR__ + 'importer.js');
+
+    // Choose the file and the hierarchy to import
+    const file = window.promptOpenFile({ title: 'Import a hierarchy from an outline or CSV', filterExtensions: ['*.txt;*.md;*.csv', '*.*'] });
+    if (!file) return; // user chose to cancel
+    const ROLES = {
+        valueStream: 'VALUE STREAM: value streams and their stages (' + config.TYPES.valueStream + ')',
+        capability: 'CAPABILITY: capabilities (' + config.TYPES.capability + ')',
+        object: 'OBJECT: objects (' + config.TYPES.object + ')'
+    };
+    const choice = '' + window.promptSelection('Import the hierarchy as which elements?', Object.values(ROLES));
+    const role = Object.keys(ROLES).find(key => ROLES[key] === choice);
+    if (!role) return; // user chose to cancel
+
+    // Plan the import
+    console.clear();
+    console.show();
+    let items;
+    try {
+        const text = io.readFile('' + file);
+        items = importer.plan(('' + file).toLowerCase().endsWith('.csv') ? importer.parseCsv(text) : importer.parseOutline(text), role);
+    } catch (error) {
+        window.alert('Cannot import ' + file + ': ' + error.message);
+        return;
+    }
+    importer.preview(items);
+    if (!items.some(item => item.action === 'create' || item.action === 'link')) {
+        console.log('Nothing to import, the model already holds the hierarchy.');
+        return;
+    }
+    if (!window.confirm('Import the hierarchy? (see console for a preview)')) return;
+
+    // Import
+    const outcome = importer.apply(items, role);
+    console.log('Imported ' + outcome.elements.size() + ' elements: ' + outcome.created + ' created, ' + outcome.linked + ' linked, '
+        + outcome.matched + ' already present, ' + outcome.skipped + ' skipped.');
+    console.log();
+
+    // Check the resulting structure
+    const context = engine.createContext(model.find('element'), model.find('relationship'), false);
+    const { results, summary } = engine.validate(context, config.IMPORT.profile);
+    engine.report(results, summary, {
+        afterRule: res => utils.flash(res.violations)
+    });
+
+})();
@@ -0,0 +1,288 @@
+/**
+ * COVO Hierarchy Import
+ * Reads a value stream, capability or object hierarchy from an indented text outline or from a CSV with a
+ * name and a parent column, and adds it to the model with the configured refinement relationship.
+ * Existing elements are matched by name and path (the names of their ancestors), so importing twice adds nothing.
+ */
+var importer = (function() {
+
+    const TAB_WIDTH = 4;
+    const BULLET = /^(?:[-*+]|\d+(?:\.\d+)*\.?)\s+/; // e.g. '- Pricing' or '1.2 Pricing'
+
+    /**
+     * Reads an indented outline, one element per line. Children are indented deeper than their parent;
+     * list bullets and numbering are ignored, as are empty lines and lines starting with '#'.
+     * @param {string} text
+     * @returns {object[]} {name, path: string[], line} per element, parents first.
+     */
+    function parseOutline(text) {
+        const entries = [];
+        const stack = []; // {indent, path} of the open ancestors
+        text.split(/\r?\n/).forEach((raw, i) => {
+            const line = raw.replace(/\t/g, ' '.repeat(TAB_WIDTH));
+            if (line.trim() === '' || line.trim().startsWith('#')) return;
+            const indent = line.length - line.trimStart().length;
+            const name = line.trim().replace(BULLET, '').trim();
+
+            while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+                const closed = stack.pop();
+                const top = stack.length > 0 ? stack[stack.length - 1].indent : -1;
+                if (closed.indent > indent && top < indent) {
+                    throw new Error(`Inconsistent indentation at line ${i + 1}: '${name}' matches none of its ancestors`);
+                }
+            }
+            const path = (stack.length > 0 ? stack[stack.length - 1].path : []).concat(name);
+            stack.push({ indent: indent, path: path });
+            entries.push({ name: name, path: path, line: i + 1 });
+        });
+        return entries;
+    }
+
+    /**
+     * Splits CSV text into rows of fields (RFC 4180), detecting the separator (comma, semicolon or tab) from the header.
+     * @param {string} text
+     * @returns {string[][]}
+     */
+    function splitCsv(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const header = text.split(/\r?\n/)[0];
+        const separator = [',', ';', '\t'].reduce((best, s) => header.split(s).length > header.split(best).length ? s : best);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === separator) {
+                row.push(field);
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                rows.push(row.concat(field));
+                row = [];
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+        if (field !== '' || row.length > 0) rows.push(row.concat(field));
+        return rows.filter(r => r.some(f => f.trim() !== ''));
+    }
+
+    /**
+     * Reads a CSV with a header row naming a 'name' and a 'parent' column (other columns are ignored).
+     * The parent is the name of another row, and is empty for top-level elements.
+     * @param {string} text
+     * @returns {object[]} {name, path: string[], line} per element, parents first.
+     */
+    function parseCsv(text) {
+        const rows = splitCsv(text);
+        const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+        const nameColumn = header.indexOf('name');
+        const parentColumn = header.indexOf('parent');
+        if (nameColumn < 0 || parentColumn < 0) throw new Error("The CSV needs a header row with a 'name' and a 'parent' column");
+
+        const items = rows.map((row, i) => ({ name: (row[nameColumn] || '').trim(), parent: (row[parentColumn] || '').trim(), line: i + 2 }));
+        const byName = new Map();
+        items.forEach(item => {
+            if (item.name === '') throw new Error(`Missing name at line ${item.line}`);
+            if (byName.has(item.name)) throw new Error(`Duplicate name '${item.name}' at line ${item.line}, parents refer to rows by name`);
+            byName.set(item.name, item);
+        });
+
+        const entries = [];
+        const visiting = new Set();
+        const visit = item => {
+            if (item.path) return item.path;
+            if (visiting.has(item.name)) throw new Error(`Refinement cycle at line ${item.line}: '${item.name}' is its own ancestor`);
+            visiting.add(item.name);
+            if (item.parent !== '' && !byName.has(item.parent)) throw new Error(`Unknown parent '${item.parent}' at line ${item.line}`);
+            const parentPath = item.parent === '' ? [] : visit(byName.get(item.parent));
+            item.path = parentPath.concat(item.name);
+            entries.push({ name: item.name, path: item.path, line: item.line });
+            return item.path;
+        };
+        items.forEach(visit);
+        return entries;
+    }
+
+    /**
+     * Returns a key for a path of names.
+     * @param {string[]} path
+     * @returns {string}
+     */
+    function getKey(path) {
+        return JSON.stringify(path);
+    }
+
+    /**
+     * Finds the existing element an entry stands for: a top-level element of that name for a top-level entry,
+     * or a child of that name of the existing element its parent entry stands for.
+     * @param {object[]} candidates - The existing elements with the entry's name.
+     * @param {object|null} parent - The planned parent entry.
+     * @returns {object[]} The matching elements; more than one is ambiguous.
+     */
+    function findMatches(candidates, parent) {
+        if (!parent) return candidates.filter(c => !utils.getParent(c));
+        if (!parent.element) return []; // the parent is new
+        return candidates.filter(c => utils.getParent(c) && utils.getParent(c).id === parent.element.id);
+    }
+
+    /**
+     * Checks if refining a top-level element from a planned parent would close a refinement cycle,
+     * i.e. if the element already is the root of the parent or of one of its planned ancestors.
+     * @param {object} element
+     * @param {object} parent - The planned parent entry.
+     * @returns {boolean}
+     */
+    function isCycle(element, parent) {
+        for (let item = parent; item; item = item.parent) {
+            if (item.element && utils.getRoot(item.element).id === element.id) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Plans the import of a hierarchy, matching existing elements by name and path. Each entry becomes one of:
+     *   {action: 'match', element}    - the element exists at that path
+     *   {action: 'link', element}     - the only element of that name is top-level, and gets refined from the parent
+     *   {action: 'create'}            - a new element, refined from the parent (if any)
+     *   {action: 'duplicate', reason} - the path is listed before
+     *   {action: 'conflict', reason}  - the element cannot be placed; its children are not imported either
+     * Each planned entry also holds its parent: another planned entry, or null for a top-level entry.
+     * @param {object[]} entries - See parseOutline and parseCsv.
+     * @param {string} role - 'valueStream', 'capability' or 'object'.
+     * @returns {object[]} The entries, each extended with its action, in the same order.
+     */
+    function plan(entries, role) {
+        const existing = model.find('element').filter(e => e.type === config.TYPES[role]);
+        utils.indexHierarchy(existing);
+        const byName = new Map();
+        existing.each(e => {
+            if (!byName.has(e.name)) byName.set(e.name, []);
+            byName.get(e.name).push(e);
+        });
+
+        const planned = new Map();
+        const linked = new Map(); // planned entries keyed by the id of the element they link
+        return entries.map(entry => {
+            const key = getKey(entry.path);
+            const item = Object.assign({}, entry);
+            if (planned.has(key)) {
+                item.action = 'duplicate';
+                item.reason = 'listed before at line ' + planned.get(key).line;
+                return item;
+            }
+            planned.set(key, item);
+
+            const parent = entry.path.length > 1 ? planned.get(getKey(entry.path.slice(0, -1))) : null;
+            item.parent = parent;
+            const candidates = byName.get(entry.name) || [];
+            const matches = parent && parent.action === 'conflict' ? [] : findMatches(candidates, parent);
+            const candidate = candidates.length === 1 ? candidates[0] : null;
+            if (parent && parent.action === 'conflict') {
+                item.action = 'conflict';
+                item.reason = 'its parent is not imported';
+            } else if (matches.length === 1) {
+                item.action = 'match';
+                item.element = matches[0];
+            } else if (matches.length > 1) {
+                item.action = 'conflict';
+                item.reason = matches.length + ' elements of that name exist at that path';
+            } else if (candidate && !utils.getParent(candidate) && !linked.has(candidate.id) && !isCycle(candidate, parent)) {
+                item.action = 'link';
+                item.element = candidate;
+                linked.set(candidate.id, item);
+            } else if (candidates.length === 0) {
+                item.action = 'create';
+            } else {
+                item.action = 'conflict';
+                item.reason = candidates.length > 1 ? candidates.length + ' elements of that name exist elsewhere in the hierarchy'
+                    : linked.has(candidate.id) ? 'it is linked at line ' + linked.get(candidate.id).line
+                    : utils.getParent(candidate) ? 'it exists below ' + utils.getLabel(utils.getParent(candidate))
+                    : 'it would refine itself';
+            }
+            return item;
+        });
+    }
+
+    /**
+     * Describes a planned entry in one line.
+     * @param {object} item
+     * @returns {string}
+     */
+    function describe(item) {
+        const path = item.path.join(' > ');
+        switch (item.action) {
+            case 'match': return `EXISTS ${path}`;
+            case 'link': return `LINK ${path} (existing top-level element)`;
+            case 'create': return `CREATE ${path}`;
+            default: return `SKIP ${path} at line ${item.line}: ${item.reason}`;
+        }
+    }
+
+    /**
+     * Prints the planned import to the console.
+     * @param {object[]} items - See plan.
+     */
+    function preview(items) {
+        console.log('----------------------------------------------------------------------');
+        console.log('                   PLANNED IMPORT');
+        console.log('----------------------------------------------------------------------');
+        items.forEach(item => console.log('    - ' + describe(item)));
+        console.log();
+    }
+
+    /**
+     * Creates the planned elements and refinement relationships.
+     * @param {object[]} items - See plan.
+     * @param {string} role - 'valueStream', 'capability' or 'object'.
+     * @returns {{created: number, linked: number, matched: number, skipped: number, elements: collection}} The counts,
+     *   and the imported elements (created, linked or matched).
+     */
+    function apply(items, role) {
+        const outcome = { created: 0, linked: 0, matched: 0, skipped: 0, elements: $() };
+        items.forEach(item => {
+            switch (item.action) {
+                case 'create':
+                    item.element = model.createElement(config.TYPES[role], item.name);
+                    if (item.parent) model.createRelationship(config.TYPES.refinement, '', item.parent.element, item.element);
+                    outcome.created++;
+                    break;
+                case 'link':
+                    model.createRelationship(config.TYPES.refinement, '', item.parent.element, item.element);
+                    outcome.linked++;
+                    break;
+                case 'match':
+                    outcome.matched++;
+                    break;
+                default:
+                    outcome.skipped++;
+                    return;
+            }
+            outcome.elements.add(item.element);
+        });
+        return outcome;
+    }
+
+    return {
+        parseOutline: parseOutline,
+        parseCsv: parseCsv,
+        plan: plan,
+        describe: describe,
+        preview: preview,
+        apply: apply
+    };
+
+})();
@@ -0,0 +1,61 @@
+/**
+ * COVO File Access
+ * Reads, writes and lists text files, both in jArchi (through Java) and in the headless Node.js runner.
+ */
+var io = (function() {
+
+    const isJava = typeof Java !== 'undefined';
+    const Files = isJava ? Java.type('java.nio.file.Files') : null;
+    const Paths = isJava ? Java.type('java.nio.file.Paths') : null;
+    const File = isJava ? Java.type('java.io.File') : null;
+    const fs = isJava ? null : require('fs');
+
+    /**
+     * Checks whether a file or directory exists.
+     * @param {string} path
+     * @returns {boolean}
+     */
+    function exists(path) {
+        return isJava ? Files.exists(Paths.get(path)) : fs.existsSync(path);
+    }
+
+    /**
+     * Reads a UTF-8 text file.
+     * @param {string} path
+     * @returns {string|null} The contents, or null if the file does not exist.
+     */
+    function readFile(path) {
+        if (!exists(path)) return null;
+        return isJava ? '' + Files.readString(Paths.get(path)) : fs.readFileSync(path, 'utf8');
+    }
+
+    /**
+     * Writes a UTF-8 text file, replacing any existing contents.
+     * @param {string} path
+     * @param {string} text
+     */
+    function writeFile(path, text) {
+        if (isJava) Files.writeString(Paths.get(path), text);
+        else fs.writeFileSync(path, text, 'utf8');
+    }
+
+    /**
+     * Lists the names of the files in a directory that have the given extension.
+     * @param {string} path
+     * @param {string} extension - e.g. '.js'
+     * @returns {string[]} The file names in alphabetical order, or none if the directory does not exist.
+     */
+    function listFiles(path, extension) {
+        if (!exists(path)) return [];
+        const names = isJava ? Java.from(new File(path).list()).map(name => '' + name) : fs.readdirSync(path);
+        return names.filter(name => name.endsWith(extension)).sort();
+    }
+
+    return {
+        exists: exists,
+        readFile: readFile,
+        writeFile: writeFile,
+        listFiles: listFiles
+    };
+
+})();
@@ -3,147 +3,131 @@
     // Choose between options
     const OPTIONS = {
         full: 'FULL: validate full model against all rules',
-        partial: 'PARTIAL: validate selection against applicable rules'
+        partial: 'PARTIAL: validate selection against applicable rules',
+        view: 'VIEW: validate all concepts on the open view against applicable rules',
+        folder: 'FOLDER: validate the elements in a model folder against applicable rules',
+        subtree: 'SUBTREE: validate a top-level element and its refinement subtree against applicable rules',
+        baseline: 'BASELINE: validate full model and accept all current violations as the baseline'
     };
     const choice = '' + window.promptSelection("Validate entire model or only the selected parts?", Object.values(OPTIONS));
     if (!Object.values(OPTIONS).includes(choice)) return; // user chose to cancel
-    const partial = choice === OPTIONS.partial;
+    const saveBaseline = choice === OPTIONS.baseline;
 
     // Load dependencies
     load(__DIR__ + 'config.js');
+    load(__DIR__ + 'io.js');
     load(__DIR__ + 'rules.js');
     load(__DIR__ + 'utils.js');
+    load(__DIR__ + 'suppressions.js');
+    load(__DIR__ + 'engine.js');
+    load(__DIR__ + 'exporter.js');
+    load(__DIR__ + 'matrices.js');
+    load(__DIR__ + 'fixes.js');
+    load(__DIR__ + 'views.js');
+    load(__DIR__ + 'navigator.js');
+    load(__DIR__ + 'baseline.js');
+    load(__DIR__ + 'history.js');
+    load(__DIR__ + 'plugins.js');
+    load(__DIR__ + 'metrics.js');
+    load(__DIR__ + 'scopes.js');
 
     // Prepare context (data preparation)
-    let allElements, allRelationships;
-    if (!partial) {
-        allElements = model.find('element');
-        allRelationships = model.find('relationship');
-    } else {
-        // Important for developers to understand: The elements and relationships added to the context
-        // are limited by the selection while their properties are not. For example, elements.rels()
-        // returns all relationships, including those not present in the current selection.
-        allElements = $();
-        selection.find('element').map(e => e.concept).forEach(c => allElements.add(c));
-        allRelationships = $();
-        selection.find('relationship').map(r => r.concept).forEach(c => allRelationships.add(c));
+    let scope;
+    switch (choice) {
+        case OPTIONS.partial: scope = scopes.fromSelection(); break;
+        case OPTIONS.view: scope = scopes.fromActiveView(); break;
+        case OPTIONS.folder: scope = scopes.fromFolder(); break;
+        case OPTIONS.subtree: scope = scopes.fromSubtree(); break;
+        default: scope = { name: 'full model', elements: model.find('element'), relationships: model.find('relationship') };
     }
-    const context = {
-        partial: partial,
-        elements: allElements,
-        valueStreams: $(),
-        capabilities: $(),
-        objects: $(),
-        relationships: allRelationships,
-        refinementRelations: $(),
-        successionRelations: $(),
-        supportRelations: $(),
-        materialRelations: $(),
-        manifestationRelations: $(),
-        transformationRelations: $(),
-        horizontalRelations: $(),
-        horizontalReflexiveRelations: $(),
-    };
-
-    allElements.each(e => {
-        switch (e.type) {
-            case config.TYPES.valueStream: context.valueStreams.add(e); break;
-            case config.TYPES.capability: context.capabilities.add(e); break;
-            case config.TYPES.object: context.objects.add(e); break;
-        }
-    });
-
-    allRelationships.each(r => {
-        if (r.type === config.TYPES.refinement) {
-            context.refinementRelations.add(r);
-        } else {
-            context.horizontalRelations.add(r);
-
-            const s = r.source.type;
-            const t = r.target.type;
-            if (s === t) {
-                context.horizontalReflexiveRelations.add(r);
-                switch (s) {
-                    case config.TYPES.valueStream: context.successionRelations.add(r); break;
-                    case config.TYPES.capability: context.supportRelations.add(r); break;
-                    case config.TYPES.object: context.materialRelations.add(r); break;
-                }
-            } else if (s === config.TYPES.capability && t === config.TYPES.valueStream) {
-                context.manifestationRelations.add(r);
-            } else if (s === config.TYPES.capability && t === config.TYPES.object) {
-                context.transformationRelations.add(r);
-            }
-        }
-    });
+    if (!scope) {
+        if (choice === OPTIONS.view) window.alert('Open the view to validate first.');
+        return; // user chose to cancel
+    }
+    const partial = choice !== OPTIONS.full && choice !== OPTIONS.baseline;
+    const context = engine.createContext(scope.elements, scope.relationships, partial, scope.name);
 
     // Execution engine
     console.clear();
+    if (config.PLUGINS.enabled) plugins.report(plugins.loadDirectory(__DIR__ + config.PLUGINS.directory));
     console.log(`Starting COVO Validator to check ${context.elements.size()} elements and ${context.relationships.size()} relationships...`);
 
-    const results = [];
-    const summary = { passed: [], failed: [], totalViolations: 0 };
+    const { results, summary } = engine.validate(context);
+    const meta = { model: model.name, timestamp: new Date().toISOString(), statistics: utils.getHierarchyStatistics(context.elements) };
 
-    rules.forEach(rule => {
-        // Validate
-        const result = rule.validate(context);
-        
-        // Add metadata to result
-        result.name = rule.name;
-        result.statement = rule.statement;
-        result.violationCount = result.violations.size();
-        
-        results.push(result);
+    // Baseline comparison
+    const baselineFile = __DIR__ + config.BASELINE.fileName;
+    if (config.BASELINE.enabled && !saveBaseline) {
+        let accepted = null;
+        try {
+            accepted = baseline.load(baselineFile);
+        } catch (error) {
+            window.alert('Cannot read baseline ' + baselineFile + ': ' + error.message + '\n\nAll violations are counted.');
+        }
+        if (accepted) baseline.compare(results, summary, accepted, context);
+    }
 
-        // Update summary
-        summary.totalViolations += result.violationCount;
-        if (result.violationCount === 0) {
-            summary.passed.push(rule.id);
-        } else {
-            summary.failed.push(rule.id);
+    // History and trend (only full validations are comparable)
+    const historyFile = __DIR__ + config.HISTORY.fileName;
+    let recordHistory = config.HISTORY.enabled && !partial;
+    if (recordHistory) {
+        try {
+            history.compare(results, summary, history.load(historyFile), meta);
+        } catch (error) {
+            window.alert(error.message + '\n\nThe trend is not reported and this run is not recorded.');
+            recordHistory = false;
         }
-    });
+    }
 
     // Report generation
     console.show();
-    console.log('======================================================================');
-    console.log('                      VALIDATION REPORT');
-    console.log('======================================================================');
-    console.log();
-    console.log('OVERALL STATUS: ' + (summary.totalViolations > 0 ? 'FAILED' : 'PASSED'));
-    console.log();
-    if (summary.totalViolations > 0) {
-        console.log('VIOLATION SUMMARY:')
-        console.log('  - Total Violations: ' + summary.totalViolations);
-        console.log('  - Rules Passed: ' + summary.passed.join(', '));
-        console.log('  - Rules Failed: ' + summary.failed.join(', '));
-        console.log();
-        console.log('NOTE: Fix C1 and C2 violations before proceeding to the other ones.');
-        console.log();
-        console.log('----------------------------------------------------------------------');
-        console.log('                   DETAILED VIOLATION ANALYSIS');
-        console.log('----------------------------------------------------------------------');
-        results.forEach(res => {
-            if (res.violationCount > 0) {
-                console.log();
-                console.log('[!!] ' + res.id + ' - ' + res.name + ': ' + res.violationCount + ' violations');
-                console.log('----------------------------------------------------------------------');
-                console.log('  * Statement: ' + res.statement);
-                console.log('  * Examples of violating items:');
-                let count = 0;
-                res.violations.each(function(v) {
-                    if(count < config.VIOLATION_EXAMPLES) {
-                        if (utils.isRelationship(v)) {
-                            console.log('    - ' + v.source.name + ' --> ' + v.target.name);
-                        } else {
-                            console.log('    - ' + (v.name ? v.name : v.type));
-                        }
-                        count++;
-                    }
-                });
-                console.log('');
-                utils.flash(res.violations);
+    engine.report(results, summary, {
+        afterRule: res => utils.flash(res.newViolations || res.violations)
+    });
+    if (recordHistory) history.append(historyFile, results, summary, meta);
+
+    if (config.METRICS.enabled) {
+        meta.metrics = metrics.compute(context, results);
+        metrics.report(meta.metrics);
+    }
+
+    if (saveBaseline) {
+        const count = baseline.save(baselineFile, results, meta);
+        console.log('Baseline saved to ' + baselineFile + ', accepting ' + count + ' violations.');
+    }
+
+    // Export
+    config.EXPORT.formats.forEach(format => {
+        const file = __DIR__ + config.EXPORT.fileName + exporter.getExtension(format);
+        io.writeFile(file, exporter.serialize(format, results, summary, meta));
+        console.log('Results written to ' + file);
+    });
+    if (config.MATRICES.enabled) {
+        matrices.write(__DIR__ + config.MATRICES.fileName, context, results).forEach(file => console.log('Matrix written to ' + file));
+    }
+
+    // Diagnostic views
+    if (config.VIEWS.enabled) {
+        const outcome = views.refresh(results, context);
+        if (outcome.refreshed.length > 0) console.log('Diagnostic views refreshed for: ' + outcome.refreshed.join(', '));
+        if (outcome.removed.length > 0) console.log('Diagnostic views removed for passing rules: ' + outcome.removed.join(', '));
+    }
+
+    // Violation navigator
+    if (config.NAVIGATOR.enabled && summary.totalViolations > 0) navigator.open(results, summary);
+
+    // Quick fixes
+    if (config.FIX.enabled && summary.totalViolations > 0) {
+        const proposals = fixes.propose(results, context);
+        if (proposals.length > 0) {
+            fixes.preview(proposals);
+            const confirmed = fixes.confirm(proposals);
+            if (confirmed.length > 0) {
+                const outcome = fixes.apply(confirmed);
+                console.log('Applied ' + outcome.applied + ' fixes. Run the validator again to check the result.');
+                outcome.failed.forEach(p => console.log('  - Could not apply ' + fixes.describe(p) + ': ' + p.error));
             }
-        });
+        }
     }
 
 })();
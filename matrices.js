@@ -0,0 +1,156 @@
+/**
+ * COVO Matrix Export
+ * Writes the horizontal relationships that stakeholders review as CSV matrices for spreadsheets: capabilities by
+ * objects (transformation), by value stream stages (manifestation) and by capabilities (support).
+ */
+var matrices = (function() {
+
+    const MATRICES = [
+        { name: 'capabilities-objects', category: 'transformation', rows: 'capability', columns: 'object', title: 'Capability \\ Object' },
+        { name: 'capabilities-stages', category: 'manifestation', rows: 'capability', columns: 'valueStream', title: 'Capability \\ Value stream' },
+        { name: 'capabilities-support', category: 'support', rows: 'capability', columns: 'capability', title: 'Provider \\ Consumer' }
+    ];
+
+    const INDENT = '  ';
+
+    /**
+     * Orders elements by the refinement hierarchy: each top-level element is followed by its children, depth first,
+     * and siblings are sorted by name. An element with multiple parents is listed below its first one only.
+     * @param {collection} elements
+     * @returns {object[]}
+     */
+    function order(elements) {
+        const included = new Set(elements.map(e => e.id));
+        const byName = (a, b) => utils.getLabel(a).localeCompare(utils.getLabel(b));
+        const ordered = [];
+        const visited = new Set();
+        const visit = element => {
+            if (visited.has(element.id)) return; // a refinement cycle
+            visited.add(element.id);
+            if (included.has(element.id)) ordered.push(element);
+            utils.getChildren(element)
+                .filter(child => utils.getParent(child).id === element.id)
+                .map(child => child) // as an array, to sort
+                .sort(byName)
+                .forEach(visit);
+        };
+        utils.getRoots(elements).map(root => root).sort(byName).forEach(visit);
+        return ordered;
+    }
+
+    /**
+     * Collects the rules each concept violates.
+     * @param {object[]} results
+     * @returns {Map<string, string[]>} Rule ids keyed by concept id.
+     */
+    function indexViolations(results) {
+        const index = new Map();
+        results.forEach(res => res.violations.each(v => {
+            if (!index.has(v.id)) index.set(v.id, []);
+            index.get(v.id).push(res.id);
+        }));
+        return index;
+    }
+
+    /**
+     * Appends the ids of violated rules to a text, e.g. 'X [C4, C5]'.
+     * @param {string} text
+     * @param {Iterable<string>} ruleIds
+     * @returns {string}
+     */
+    function mark(text, ruleIds) {
+        const ids = Array.from(ruleIds);
+        return ids.length === 0 ? text : `${text} [${ids.join(', ')}]`;
+    }
+
+    /**
+     * Labels an element for a row or column header, indented by its level and followed by the rules it violates.
+     * @param {object} element
+     * @param {Map<string, string[]>} violations - See indexViolations.
+     * @returns {string}
+     */
+    function getHeader(element, violations) {
+        return INDENT.repeat(utils.getLevel(element)) + mark(utils.getLabel(element), violations.get(element.id) || []);
+    }
+
+    /**
+     * Builds the matrices of the elements and relationships in the context. A header names the row or column element,
+     * followed by the ids of the rules the element violates, e.g. 'Quote [C9]'. A cell holds 'X' if the row element
+     * relates to the column element, followed by the ids of the rules its relationships violate, e.g. 'X [C4, C5]'.
+     * @param {object} context
+     * @param {object[]} results
+     * @returns {object[]} {name, title, rows: object[], columns: object[], rowHeaders: string[], columnHeaders: string[],
+     *   cells: string[][]} per matrix.
+     */
+    function build(context, results) {
+        const violations = indexViolations(results);
+        return MATRICES.map(m => {
+            const rows = order(context.elements.filter(e => e.type === config.TYPES[m.rows]));
+            const columns = order(context.elements.filter(e => e.type === config.TYPES[m.columns]));
+            const cells = rows.map(row => columns.map(column => {
+                const relationships = (context.index[m.category].out.get(row.id) || []).filter(r => r.target.id === column.id);
+                if (relationships.length === 0) return '';
+                const ruleIds = new Set();
+                relationships.forEach(r => (violations.get(r.id) || []).forEach(id => ruleIds.add(id)));
+                return mark('X', ruleIds);
+            }));
+            return {
+                name: m.name,
+                title: m.title,
+                rows: rows,
+                columns: columns,
+                rowHeaders: rows.map(row => getHeader(row, violations)),
+                columnHeaders: columns.map(column => getHeader(column, violations)),
+                cells: cells
+            };
+        });
+    }
+
+    /**
+     * Quotes a CSV field if needed (RFC 4180); also keeps the indentation of headers. A field that a spreadsheet
+     * would run as a formula (starting with =, +, -, @, a tab or a carriage return after the indentation) gets a '
+     * after the indentation to keep it text.
+     * @param {string} text
+     * @param {string} separator
+     * @returns {string}
+     */
+    function escapeCsv(text, separator) {
+        const value = ('' + text).replace(/^( *)([=+\-@\t\r])/, "$1'$2");
+        if (!value.includes(separator) && !/["\r\n]/.test(value) && value.trim() === value) return value;
+        return '"' + value.replace(/"/g, '""') + '"';
+    }
+
+    /**
+     * Serializes a matrix as CSV, starting with a byte order mark so spreadsheets read it as UTF-8.
+     * @param {object} matrix - See build.
+     * @param {string} [separator] - Defaults to config.MATRICES.separator.
+     * @returns {string}
+     */
+    function toCsv(matrix, separator = config.MATRICES.separator) {
+        const lines = [[matrix.title].concat(matrix.columnHeaders)];
+        matrix.rowHeaders.forEach((header, i) => lines.push([header].concat(matrix.cells[i])));
+        return '\uFEFF' + lines.map(fields => fields.map(f => escapeCsv(f, separator)).join(separator)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Writes each matrix to a CSV file.
+     * @param {string} prefix - Path and file name prefix, e.g. '/path/covo-matrix' for '/path/covo-matrix-capabilities-objects.csv'.
+     * @param {object} context
+     * @param {object[]} results
+     * @returns {string[]} The files written.
+     */
+    function write(prefix, context, results) {
+        return build(context, results).map(matrix => {
+            const file = `${prefix}-${matrix.name}.csv`;
+            io.writeFile(file, toCsv(matrix));
+            return file;
+        });
+    }
+
+    return {
+        build: build,
+        toCsv: toCsv,
+        write: write
+    };
+
+})();
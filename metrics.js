@@ -0,0 +1,204 @@
+/**
+ * COVO Metrics
+ * Measures how complete a model is besides pass/fail: element counts per level, leaf depths, how well the
+ * capabilities, stages and objects are connected, rule compliance, and a maturity score per top-level hierarchy.
+ */
+var metrics = (function() {
+
+    const ROLES = ['valueStream', 'capability', 'object'];
+
+    /**
+     * Divides part by total.
+     * @param {number} part
+     * @param {number} total
+     * @returns {number|null} The share, or null if there is nothing to share.
+     */
+    function share(part, total) {
+        return total === 0 ? null : part / total;
+    }
+
+    /**
+     * Formats a share as a percentage.
+     * @param {number|null} value
+     * @returns {string}
+     */
+    function percentage(value) {
+        return value === null ? 'n/a' : Math.round(value * 100) + '%';
+    }
+
+    /**
+     * Counts the leaves per depth, for each role.
+     * @param {collection} elements
+     * @returns {object} Per role, the number of leaves at each depth.
+     */
+    function getLeafDepths(elements) {
+        const depths = {};
+        ROLES.forEach(role => {
+            depths[role] = [];
+            elements.filter(e => e.type === config.TYPES[role] && utils.isLeaf(e)).each(e => {
+                const level = utils.getLevel(e);
+                depths[role][level] = (depths[role][level] || 0) + 1;
+            });
+            depths[role] = Array.from(depths[role], count => count || 0);
+        });
+        return depths;
+    }
+
+    /**
+     * Tells how well an element is connected for its role: a stage is realized by exactly one capability,
+     * a capability transforms an object and an object is transformed by a capability.
+     * @param {object} element
+     * @param {object} context
+     * @returns {boolean}
+     */
+    function isConnected(element, context) {
+        switch (utils.getRole(element.type)) {
+            case 'valueStream': return utils.getSources(element, context.index.manifestation).size() === 1;
+            case 'capability': return utils.getTargets(element, context.index.transformation).size() > 0;
+            case 'object': return utils.getSources(element, context.index.transformation).size() > 0;
+        }
+        return false;
+    }
+
+    /**
+     * Determines the share of checked concepts without violations for each rule that reports its scope.
+     * @param {object[]} results
+     * @returns {object[]} {ruleId, checked, violations, compliance}
+     */
+    function getRuleCompliance(results) {
+        return results.filter(res => res.scope).map(res => {
+            const checked = res.scope.size();
+            return {
+                ruleId: res.id,
+                checked: checked,
+                violations: res.violationCount,
+                compliance: share(Math.max(checked - res.violationCount, 0), checked)
+            };
+        });
+    }
+
+    /**
+     * Scores each top-level hierarchy by its compliance (share of its elements and outgoing relationships without
+     * violations), consistency (share of its leaves at the depth C3 expects, see utils.groupLeaves) and connectedness
+     * (see isConnected),
+     * combined into a maturity score from 0 to 100 using the weights in config.METRICS.
+     * @param {object} context
+     * @param {object[]} results
+     * @returns {object[]} {root, role, elements, indicators, score}, ordered by role and root name.
+     */
+    function getHierarchyScores(context, results) {
+        const violating = new Set();
+        results.forEach(res => res.violations.each(v => violating.add(v.id)));
+
+        const hierarchies = {};
+        const roles = new Set(ROLES.map(role => config.TYPES[role]));
+        utils.getRoots(context.elements.filter(e => roles.has(e.type))).each(root => {
+            hierarchies[root.id] = { root: root, elements: $(), relationships: $() };
+        });
+        context.elements.each(e => {
+            const hierarchy = hierarchies[utils.getRoot(e).id];
+            if (hierarchy) hierarchy.elements.add(e);
+        });
+        context.relationships.each(r => {
+            const hierarchy = hierarchies[utils.getRoot(r.source).id];
+            if (hierarchy) hierarchy.relationships.add(r);
+        });
+
+        // Leaves are grouped across hierarchies as in C3, which leaves out cycles (reported by C2)
+        const isLeaf = e => utils.isLeaf(e) && !utils.isCyclic(e);
+        const groups = utils.groupLeaves(context.elements.filter(isLeaf));
+
+        const weights = config.METRICS.weights;
+        return Object.values(hierarchies).map(h => {
+            const concepts = h.elements.clone().add(h.relationships);
+            const leaves = h.elements.filter(isLeaf);
+            const indicators = {
+                compliance: share(concepts.filter(c => !violating.has(c.id)).size(), concepts.size()),
+                consistency: share(leaves.filter(e => utils.getLevel(e) === groups.get(e.id).expectedDepth).size(), leaves.size()),
+                connectedness: share(h.elements.filter(e => isConnected(e, context)).size(), h.elements.size())
+            };
+
+            let total = 0;
+            let weight = 0;
+            Object.keys(indicators).filter(key => indicators[key] !== null).forEach(key => {
+                total += indicators[key] * weights[key];
+                weight += weights[key];
+            });
+
+            return {
+                root: h.root,
+                role: utils.getRole(h.root.type),
+                elements: h.elements.size(),
+                indicators: indicators,
+                score: weight === 0 ? null : Math.round(100 * total / weight)
+            };
+        }).sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role) || (a.root.name || '').localeCompare(b.root.name || ''));
+    }
+
+    /**
+     * Computes the metrics of the validated context.
+     * @param {object} context
+     * @param {object[]} results
+     * @returns {object}
+     */
+    function compute(context, results) {
+        const capabilities = context.capabilities;
+        const valueStreams = context.valueStreams;
+        const parents = context.elements.filter(e => !utils.isLeaf(e));
+        let children = 0;
+        parents.each(e => children += utils.getChildren(e).size());
+
+        return {
+            hierarchy: utils.getHierarchyStatistics(context.elements),
+            leafDepths: getLeafDepths(context.elements),
+            transformingCapabilities: share(capabilities.filter(c => utils.getTargets(c, context.index.transformation).size() > 0).size(), capabilities.size()),
+            singlyRealizedStages: share(valueStreams.filter(s => utils.getSources(s, context.index.manifestation).size() === 1).size(), valueStreams.size()),
+            refinementFanOut: parents.size() === 0 ? null : children / parents.size(),
+            rules: getRuleCompliance(results),
+            hierarchies: getHierarchyScores(context, results)
+        };
+    }
+
+    /**
+     * Converts metrics to plain data, e.g. for the JSON export.
+     * @param {object} m - As returned by compute.
+     * @returns {object}
+     */
+    function toData(m) {
+        return Object.assign({}, m, {
+            hierarchies: m.hierarchies.map(h => Object.assign({}, h, { root: { id: h.root.id, type: h.root.type, name: h.root.name || '' } }))
+        });
+    }
+
+    /**
+     * Prints the metrics and the maturity scorecard.
+     * @param {object} m - As returned by compute.
+     */
+    function report(m) {
+        console.log('----------------------------------------------------------------------');
+        console.log('                   COVO METRICS');
+        console.log('----------------------------------------------------------------------');
+        console.log('ELEMENTS PER LEVEL:');
+        m.hierarchy.forEach(s => console.log('  - ' + s.role + ': ' + s.elements + ' (' + s.levels.map((n, level) => 'L' + level + ': ' + n).join(', ') + ')'));
+        console.log('LEAF DEPTHS:');
+        ROLES.forEach(role => console.log('  - ' + role + ': ' + m.leafDepths[role].map((n, depth) => 'depth ' + depth + ': ' + n).join(', ')));
+        console.log('CONNECTIONS:');
+        console.log('  - Capabilities transforming an object: ' + percentage(m.transformingCapabilities));
+        console.log('  - Stages realized by exactly one capability: ' + percentage(m.singlyRealizedStages));
+        console.log('  - Average refinement fan-out: ' + (m.refinementFanOut === null ? 'n/a' : m.refinementFanOut.toFixed(1)));
+        console.log('RULE COMPLIANCE:');
+        m.rules.forEach(r => console.log('  - ' + r.ruleId + ': ' + percentage(r.compliance) + ' (' + r.violations + ' of ' + r.checked + ' violating)'));
+        console.log('MATURITY PER TOP-LEVEL HIERARCHY (0-100):');
+        m.hierarchies.forEach(h => console.log('  - ' + utils.getLabel(h.root) + ' [' + h.role + ', ' + h.elements + ' elements]: '
+            + (h.score === null ? 'n/a' : h.score) + ' (compliance ' + percentage(h.indicators.compliance)
+            + ', consistency ' + percentage(h.indicators.consistency) + ', connectedness ' + percentage(h.indicators.connectedness) + ')'));
+        console.log();
+    }
+
+    return {
+        compute: compute,
+        toData: toData,
+        report: report
+    };
+
+})();
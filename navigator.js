@@ -0,0 +1,151 @@
+/**
+ * COVO Violation Navigator for jArchi
+ * A dialog listing the rules with their violation counts. Expanding a rule lists all of its violations;
+ * double-clicking a violation selects it in the model tree and reveals it in every view that references it.
+ */
+var navigator = (function() {
+
+    const SWT = Java.type('org.eclipse.swt.SWT');
+    const Display = Java.type('org.eclipse.swt.widgets.Display');
+    const Shell = Java.type('org.eclipse.swt.widgets.Shell');
+    const Tree = Java.type('org.eclipse.swt.widgets.Tree');
+    const TreeColumn = Java.type('org.eclipse.swt.widgets.TreeColumn');
+    const TreeItem = Java.type('org.eclipse.swt.widgets.TreeItem');
+    const Label = Java.type('org.eclipse.swt.widgets.Label');
+    const Button = Java.type('org.eclipse.swt.widgets.Button');
+    const GridLayout = Java.type('org.eclipse.swt.layout.GridLayout');
+    const GridData = Java.type('org.eclipse.swt.layout.GridData');
+
+    const COLUMNS = [
+        { title: 'Rule / violation', width: 360 },
+        { title: 'Severity / type', width: 160 },
+        { title: 'Violations / explanation', width: 480 }
+    ];
+
+    /**
+     * Describes the number of violations of a result, including how many are new with a baseline
+     * and whether the result is provisional.
+     * @param {object} res
+     * @returns {string}
+     */
+    function describeCount(res) {
+        const count = res.violationCount + ' violations' + (res.provisional ? ', provisional' : '');
+        return res.newViolations ? count + ' (' + res.newViolations.size() + ' new)' : count;
+    }
+
+    /**
+     * Explains a violation by its detail or evidence, if the rule gave any.
+     * @param {object} res
+     * @param {object} violation
+     * @returns {string}
+     */
+    function explain(res, violation) {
+        const detail = res.details && res.details[violation.id];
+        const evidence = res.evidence && res.evidence[violation.id];
+        const lines = detail ? [detail] : [];
+        if (evidence && Array.isArray(evidence.explanation)) evidence.explanation.forEach(line => lines.push(line));
+        return lines.join('; ');
+    }
+
+    /**
+     * Fills the tree with one item per rule, holding an item per violation. Violation items carry the concept id as data.
+     * @param {object} tree
+     * @param {object[]} results
+     */
+    function populate(tree, results) {
+        results.forEach(res => {
+            const ruleItem = new TreeItem(tree, SWT.NONE);
+            ruleItem.setText(0, res.id + ' - ' + res.name);
+            ruleItem.setText(1, res.severity);
+            ruleItem.setText(2, describeCount(res));
+            res.violations.each(v => {
+                const item = new TreeItem(ruleItem, SWT.NONE);
+                item.setText(0, utils.getLabel(v));
+                item.setText(1, v.type);
+                item.setText(2, explain(res, v));
+                item.setData(v.id);
+            });
+        });
+    }
+
+    /**
+     * Selects a concept in the model tree and opens and flashes every view that references it.
+     * @param {string} conceptId
+     */
+    function reveal(conceptId) {
+        const concept = $('#' + conceptId);
+        if (concept.size() === 0) {
+            console.log('Cannot reveal ' + conceptId + ': it no longer exists in the model.');
+            return;
+        }
+
+        if (typeof concept.selectInModelTree === 'function') concept.selectInModelTree();
+        else console.log('Select ' + utils.getLabel(concept.first()) + ' in the model tree: not supported by this jArchi version.');
+
+        const openedViews = new Set();
+        utils.getDiagramObjects(concept).each(d => {
+            if (openedViews.has(d.view.id)) return;
+            openedViews.add(d.view.id);
+            d.view.openInUI();
+        });
+        utils.flash(concept);
+    }
+
+    /**
+     * Opens the navigator and waits until it is closed, keeping Archi responsive in the meantime.
+     * @param {object[]} results
+     * @param {object} summary
+     */
+    function open(results, summary) {
+        const display = Display.getDefault();
+        const shell = new Shell(display, SWT.SHELL_TRIM);
+        shell.setText('COVO Violations');
+        shell.setLayout(new GridLayout(2, false));
+
+        const header = new Label(shell, SWT.NONE);
+        header.setText('Status: ' + engine.getStatus(results) + ', rule profile: ' + summary.profile + ', '
+            + summary.totalViolations + ' violations. Double-click a violation to reveal it.');
+        header.setLayoutData(new GridData(SWT.FILL, SWT.CENTER, true, false, 2, 1));
+
+        const tree = new Tree(shell, SWT.BORDER | SWT.SINGLE | SWT.FULL_SELECTION);
+        tree.setHeaderVisible(true);
+        tree.setLinesVisible(true);
+        tree.setLayoutData(new GridData(SWT.FILL, SWT.FILL, true, true, 2, 1));
+        COLUMNS.forEach(c => {
+            const column = new TreeColumn(tree, SWT.LEFT);
+            column.setText(c.title);
+            column.setWidth(c.width);
+        });
+        populate(tree, results);
+
+        // Double-click: reveal a violation, or expand/collapse a rule
+        tree.addListener(SWT.DefaultSelection, event => {
+            const conceptId = event.item.getData();
+            if (conceptId) reveal('' + conceptId);
+            else event.item.setExpanded(!event.item.getExpanded());
+        });
+
+        const revealButton = new Button(shell, SWT.PUSH);
+        revealButton.setText('Reveal');
+        revealButton.setLayoutData(new GridData(SWT.END, SWT.CENTER, true, false));
+        revealButton.addListener(SWT.Selection, () => {
+            const selected = tree.getSelection();
+            if (selected.length > 0 && selected[0].getData()) reveal('' + selected[0].getData());
+        });
+
+        const closeButton = new Button(shell, SWT.PUSH);
+        closeButton.setText('Close');
+        closeButton.addListener(SWT.Selection, () => shell.close());
+
+        shell.setSize(1040, 600);
+        shell.open();
+        while (!shell.isDisposed()) {
+            if (!display.readAndDispatch()) display.sleep();
+        }
+    }
+
+    return {
+        open: open
+    };
+
+})();
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * COVO Validator command-line interface.
+ * Validates an ArchiMate Open Exchange Format file or a coArchi model folder without Archi, in full
+ * or incrementally: only for the changes since a previous version of the model.
+ *
+ * Usage: node node/cli.js <model.xml | model folder> [options], see USAGE.
+ * Exit codes: 0 = passed, 1 = failed, 2 = invalid usage, unreadable model or broken rules.
+ */
+'use strict';
+
+const fs = require('fs');
+const exchange = require('./exchange');
+const coarchi = require('./coarchi');
+const diff = require('./diff');
+const { createRuntime } = require('./runtime');
+
+const USAGE = [
+    'Usage: node node/cli.js <model.xml | model folder> [options]',
+    '',
+    'The model is an Open Exchange Format file, or a coArchi repository or model folder.',
+    '',
+    'Options:',
+    '  --profile <name>         rule profile from config.PROFILES (default: config.PROFILE)',
+    '  --rules <dir>            load custom rules from this directory (default: config.PLUGINS.directory)',
+    '  --json <file>            write all results as JSON',
+    '  --junit <file>           write all results as JUnit XML',
+    '  --sarif <file>           write all results as SARIF',
+    '  --html <file>            write a standalone HTML report',
+    '  --matrices <prefix>      write the capability matrices as CSV files, e.g. <prefix>-capabilities-objects.csv',
+    '  --since <model>          only re-run the rules touching the changes since this previous version of the model',
+    '                           (a file or folder as above), and only count the violations introduced since then',
+    '  --baseline <file>        only count violations that are not in the baseline',
+    '  --save-baseline <file>   accept all current violations as the baseline',
+    '  --history <file>         record this run in a history file and report the trend since the recorded runs',
+    '  --fixes                  preview the quick fixes offered by the rules',
+    '  --metrics                report model metrics and maturity scores (also added to the JSON and HTML exports)'
+].join('\n');
+
+const EXPORT_OPTIONS = ['--json', '--junit', '--sarif', '--html'];
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} args
+ * @returns {object|null} The options, or null if the arguments are invalid.
+ */
+function parseArgs(args) {
+    const options = { file: null, profile: undefined, rules: null, exports: [], since: null, baseline: null, saveBaseline: null, history: null, matrices: null, fixes: false, metrics: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = args[i + 1];
+        if (arg === '--fixes') {
+            options.fixes = true;
+        } else if (arg === '--metrics') {
+            options.metrics = true;
+        } else if (EXPORT_OPTIONS.includes(arg) && value) {
+            options.exports.push({ format: arg.substring(2), file: value });
+            i++;
+        } else if (arg === '--profile' && value) {
+            options.profile = value;
+            i++;
+        } else if (arg === '--rules' && value) {
+            options.rules = value;
+            i++;
+        } else if (arg === '--since' && value) {
+            options.since = value;
+            i++;
+        } else if (arg === '--baseline' && value) {
+            options.baseline = value;
+            i++;
+        } else if (arg === '--save-baseline' && value) {
+            options.saveBaseline = value;
+            i++;
+        } else if (arg === '--history' && value) {
+            options.history = value;
+            i++;
+        } else if (arg === '--matrices' && value) {
+            options.matrices = value;
+            i++;
+        } else if (arg.startsWith('-') || options.file) {
+            return null;
+        } else {
+            options.file = arg;
+        }
+    }
+    return options.file ? options : null;
+}
+
+/**
+ * Reads a model from an exchange file, or from a coArchi repository or model folder.
+ * @param {string} file
+ * @returns {Model}
+ */
+function readModel(file) {
+    return fs.statSync(file).isDirectory() ? coarchi.read(file) : exchange.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function main(args) {
+    const options = parseArgs(args);
+    if (!options) {
+        console.error(USAGE);
+        return 2;
+    }
+    if (options.since && (options.baseline || options.saveBaseline || options.history)) {
+        console.error('--since cannot be combined with --baseline, --save-baseline or --history');
+        return 2;
+    }
+
+    const models = [];
+    for (const file of [options.file, options.since].filter(Boolean)) {
+        try {
+            models.push(readModel(file));
+        } catch (error) {
+            console.error(`Cannot read model '${file}': ${error.message}`);
+            return 2;
+        }
+    }
+    const [model, previous = null] = models;
+
+    if (options.rules && !fs.existsSync(options.rules)) {
+        console.error(`Cannot read rules directory '${options.rules}'`);
+        return 2;
+    }
+
+    const runtime = createRuntime(model);
+    const engine = runtime.engine;
+
+    const previousRuntime = previous && createRuntime(previous);
+    const rulesDirectory = options.rules || runtime.__DIR__ + runtime.config.PLUGINS.directory;
+    let pluginErrors = 0;
+    if (options.rules || runtime.config.PLUGINS.enabled) {
+        const outcome = runtime.plugins.loadDirectory(rulesDirectory);
+        runtime.plugins.report(outcome);
+        pluginErrors = outcome.errors.length;
+        if (previousRuntime) previousRuntime.plugins.loadDirectory(rulesDirectory);
+    }
+
+    // Incremental validation: focus on the changed concepts and their hierarchy neighbours in both versions
+    let changes = null;
+    let focus = null;
+    if (previous) {
+        changes = diff.compareModels(previous, model);
+        const ids = changes.added.concat(changes.removed, changes.changed);
+        focus = new Set([...diff.getAffected(previousRuntime, ids), ...diff.getAffected(runtime, ids)]);
+    }
+
+    const context = engine.createContext(model.find('element'), model.find('relationship'), false);
+    console.log(`Starting COVO Validator to check ${context.elements.size()} elements and ${context.relationships.size()} relationships...`);
+
+    let validation;
+    let previousValidation = null;
+    try {
+        validation = engine.validate(context, options.profile, focus);
+        if (previous) {
+            // Rules affected in either version run in both, e.g. the rules that checked a removed concept
+            const ran = v => v.results.map(res => res.id).concat(v.summary.ruleErrors.map(e => e.ruleId));
+            const previousContext = previousRuntime.engine.createContext(previous.find('element'), previous.find('relationship'), false);
+            previousValidation = previousRuntime.engine.validate(previousContext, options.profile, focus, ran(validation));
+            if (ran(previousValidation).length > ran(validation).length) {
+                validation = engine.validate(context, options.profile, focus, ran(previousValidation));
+            }
+        }
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    const { results, summary } = validation;
+    const meta = {
+        model: model.name,
+        file: options.file,
+        timestamp: new Date().toISOString(),
+        statistics: runtime.utils.getHierarchyStatistics(context.elements)
+    };
+
+    if (previousValidation) {
+        runtime.baseline.compareVersions(results, summary, previousValidation.results, { model: previous.name, timestamp: options.since }, context);
+        summary.changes = {
+            since: options.since,
+            added: changes.added.length,
+            removed: changes.removed.length,
+            changed: changes.changed.length,
+            affected: focus.size
+        };
+    }
+
+    if (options.baseline) {
+        let accepted;
+        try {
+            accepted = runtime.baseline.load(options.baseline);
+        } catch (error) {
+            console.error(`Cannot read baseline '${options.baseline}': ${error.message}`);
+            return 2;
+        }
+        if (accepted) runtime.baseline.compare(results, summary, accepted, context);
+        else console.log(`No baseline found at ${options.baseline}, counting all violations.`);
+    }
+
+    let historyError = null;
+    if (options.history) {
+        try {
+            runtime.history.compare(results, summary, runtime.history.load(options.history), meta);
+        } catch (error) {
+            historyError = error;
+        }
+    }
+
+    engine.report(results, summary);
+    if (historyError) {
+        console.error(`${historyError.message}\nThe trend is not reported and this run is not recorded.`);
+    } else if (options.history) {
+        runtime.history.append(options.history, results, summary, meta);
+    }
+
+    if (options.metrics) {
+        meta.metrics = runtime.metrics.compute(context, results);
+        runtime.metrics.report(meta.metrics);
+    }
+
+    if (options.saveBaseline) {
+        const count = runtime.baseline.save(options.saveBaseline, results, meta);
+        console.log(`Baseline saved to ${options.saveBaseline}, accepting ${count} violations.`);
+    }
+
+    options.exports.forEach(e => {
+        fs.writeFileSync(e.file, runtime.exporter.serialize(e.format, results, summary, meta));
+        console.log(`Results written to ${e.file}`);
+    });
+    if (options.matrices) {
+        runtime.matrices.write(options.matrices, context, results).forEach(file => console.log(`Matrix written to ${file}`));
+    }
+
+    // The exchange file is not written back, so fixes can only be previewed
+    if (options.fixes) {
+        const proposals = runtime.fixes.propose(results, context);
+        if (proposals.length > 0) runtime.fixes.preview(proposals);
+        else console.log('No quick fixes available.');
+    }
+
+    if (pluginErrors > 0 || summary.ruleErrors.length > 0) return 2;
+    return engine.getStatus(results) === 'FAILED' ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
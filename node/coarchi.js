@@ -0,0 +1,117 @@
+/**
+ * Reader for coArchi model folders.
+ * The coArchi collaboration plugin stores a model in a Git repository as a folder tree with one XML file per
+ * concept (e.g. model/business/BusinessProcess_id-1.xml) and a folder.xml per folder. This reads such a tree
+ * into an in-memory model with jArchi-style type names; diagrams are skipped.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Model } = require('./collection');
+const { parseXml, toJArchiType } = require('./exchange');
+
+/**
+ * Finds the model folder: the 'model' folder of a coArchi repository, or the given folder itself.
+ * @param {string} directory
+ * @returns {string}
+ * @throws {Error} If the folder has no folder.xml.
+ */
+function findModelFolder(directory) {
+    const candidates = [path.join(directory, 'model'), directory];
+    const folder = candidates.find(d => fs.existsSync(path.join(d, 'folder.xml')));
+    if (!folder) throw new Error('Not a coArchi model folder: no model/folder.xml or folder.xml found');
+    return folder;
+}
+
+/**
+ * Lists the concept files below a folder (all .xml files but folder.xml), in a stable order.
+ * @param {string} folder
+ * @returns {string[]} Paths.
+ */
+function listConceptFiles(folder) {
+    return fs.readdirSync(folder, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const file = path.join(folder, entry.name);
+            if (entry.isDirectory()) return listConceptFiles(file);
+            return entry.name.endsWith('.xml') && entry.name !== 'folder.xml' ? [file] : [];
+        });
+}
+
+function child(node, name) {
+    return node.children.find(c => c.name === name);
+}
+
+/**
+ * Reads an attribute, or else the text of a child element of that name (e.g. documentation).
+ * @param {object} node
+ * @param {string} name
+ * @returns {string}
+ */
+function valueOf(node, name) {
+    if (node.attributes[name] !== undefined) return node.attributes[name];
+    const field = child(node, name);
+    return field ? field.text.trim() : '';
+}
+
+/**
+ * Reads the id a relationship end refers to: an attribute holding the id, or a child element with
+ * an href to the file of the concept, e.g. <source href="BusinessProcess_id-1.xml#id-1"/>.
+ * @param {object} node
+ * @param {string} name - 'source' or 'target'.
+ * @returns {string|undefined}
+ */
+function referenceOf(node, name) {
+    if (node.attributes[name] !== undefined) return node.attributes[name];
+    const reference = child(node, name);
+    const href = reference && reference.attributes.href;
+    return href ? href.substring(href.indexOf('#') + 1) : undefined;
+}
+
+function readProperties(node, concept) {
+    node.children.filter(c => c.name === 'property' || c.name === 'properties').forEach(p => {
+        if (p.attributes.key !== undefined) concept.prop(p.attributes.key, p.attributes.value || '');
+    });
+}
+
+/**
+ * Reads a coArchi model folder, or a repository holding one in its 'model' folder.
+ * @param {string} directory
+ * @returns {Model}
+ */
+function read(directory) {
+    const folder = findModelFolder(directory);
+    const root = parseXml(fs.readFileSync(path.join(folder, 'folder.xml'), 'utf8'));
+    const model = new Model(root.attributes.name || path.basename(path.resolve(directory)));
+
+    const concepts = listConceptFiles(folder).map(file => {
+        try {
+            return parseXml(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`${path.relative(folder, file)}: ${error.message}`);
+        }
+    });
+    const isRelationship = node => node.name.endsWith('Relationship');
+    const isDiagram = node => node.name.endsWith('Model') || node.name === 'Folder'; // diagrams, sketches and canvases
+
+    concepts.filter(node => !isRelationship(node) && !isDiagram(node)).forEach(node => {
+        const element = model.createElement(toJArchiType(node.name, false), valueOf(node, 'name'), node.attributes.id, valueOf(node, 'documentation'));
+        readProperties(node, element);
+    });
+
+    concepts.filter(isRelationship).forEach(node => {
+        const source = model.getConcept(referenceOf(node, 'source'));
+        const target = model.getConcept(referenceOf(node, 'target'));
+        if (!source || !target) throw new Error(`Relationship ${node.attributes.id} refers to an unknown source or target`);
+        const type = toJArchiType(node.name.substring(0, node.name.length - 'Relationship'.length), true);
+        const relationship = model.createRelationship(type, valueOf(node, 'name'), source, target, node.attributes.id, valueOf(node, 'documentation'));
+        readProperties(node, relationship);
+    });
+
+    return model;
+}
+
+module.exports = {
+    read: read
+};
@@ -0,0 +1,264 @@
+/**
+ * jArchi-compatible collection shim for Node.js.
+ * Implements the subset of the jArchi scripting API that the COVO scripts rely on,
+ * so that config.js, utils.js and rules.js can run unchanged outside of Archi.
+ */
+'use strict';
+
+/**
+ * Tests whether a concept matches a jArchi selector.
+ * Supported: '*', 'concept', 'element', 'relationship', '#id', '.name', 'type' and 'type.name'.
+ * @param {object} concept
+ * @param {string} [selector]
+ * @returns {boolean}
+ */
+function matches(concept, selector) {
+    if (!selector || selector === '*' || selector === 'concept') return true;
+    if (selector === 'element') return !concept.isRelationship;
+    if (selector === 'relationship') return concept.isRelationship;
+    if (selector.startsWith('#')) return concept.id === selector.substring(1);
+    if (selector.startsWith('.')) return concept.name === selector.substring(1);
+
+    const dot = selector.indexOf('.');
+    if (dot > 0) return concept.type === selector.substring(0, dot) && concept.name === selector.substring(dot + 1);
+    return concept.type === selector;
+}
+
+/**
+ * Turns a selector or predicate into a predicate.
+ * @param {string|function} [selectorOrPredicate]
+ * @returns {function}
+ */
+function toPredicate(selectorOrPredicate) {
+    if (typeof selectorOrPredicate === 'function') return selectorOrPredicate;
+    return concept => matches(concept, selectorOrPredicate);
+}
+
+/**
+ * A model concept (element or relationship) with jArchi-like properties.
+ */
+class Concept {
+    constructor(id, type, name = '', documentation = '') {
+        this.id = id;
+        this.type = type;
+        this.name = name;
+        this.documentation = documentation;
+        this.properties = [];
+        this.inRelationships = [];
+        this.outRelationships = [];
+    }
+
+    /**
+     * Gets or sets a property. Without arguments, returns all property keys.
+     * @param {string} [key]
+     * @param {string} [value]
+     * @returns {string|string[]|null|Concept}
+     */
+    prop(key, value) {
+        if (key === undefined) return this.properties.map(p => p.key);
+        if (value === undefined) {
+            const property = this.properties.find(p => p.key === key);
+            return property ? property.value : null;
+        }
+        const property = this.properties.find(p => p.key === key);
+        if (property) property.value = value;
+        else this.properties.push({ key: key, value: value });
+        return this;
+    }
+
+    removeProp(key) {
+        this.properties = this.properties.filter(p => p.key !== key);
+        return this;
+    }
+}
+
+class Element extends Concept {
+    constructor(id, type, name, documentation) {
+        super(id, type, name, documentation);
+        this.isRelationship = false;
+    }
+}
+
+class Relationship extends Concept {
+    constructor(id, type, source, target, name, documentation) {
+        super(id, type, name, documentation);
+        this.isRelationship = true;
+        this.source = source;
+        this.target = target;
+    }
+}
+
+/**
+ * An ordered set of concepts, mirroring the jArchi collection API.
+ */
+class Collection {
+    constructor(items = []) {
+        this.items = [];
+        this.members = new Set();
+        items.forEach(item => this.push(item));
+    }
+
+    push(item) {
+        if (item && !this.members.has(item)) {
+            this.members.add(item);
+            this.items.push(item);
+        }
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    first() {
+        return this.items[0];
+    }
+
+    each(callback) {
+        this.items.forEach(item => callback(item));
+        return this;
+    }
+
+    forEach(callback) {
+        return this.each(callback);
+    }
+
+    map(callback) {
+        return this.items.map(item => callback(item));
+    }
+
+    filter(selectorOrPredicate) {
+        return new Collection(this.items.filter(toPredicate(selectorOrPredicate)));
+    }
+
+    not(selectorOrPredicate) {
+        const predicate = toPredicate(selectorOrPredicate);
+        return new Collection(this.items.filter(item => !predicate(item)));
+    }
+
+    is(selector) {
+        return this.items.some(toPredicate(selector));
+    }
+
+    contains(concept) {
+        return this.members.has(concept);
+    }
+
+    clone() {
+        return new Collection(this.items);
+    }
+
+    add(objectOrCollection) {
+        if (objectOrCollection instanceof Collection) objectOrCollection.each(item => this.push(item));
+        else this.push(objectOrCollection);
+        return this;
+    }
+
+    rels(selector) {
+        return this.inRels(selector).add(this.outRels(selector));
+    }
+
+    inRels(selector) {
+        const result = new Collection();
+        this.items.forEach(e => e.inRelationships.forEach(r => result.push(r)));
+        return result.filter(selector);
+    }
+
+    outRels(selector) {
+        const result = new Collection();
+        this.items.forEach(e => e.outRelationships.forEach(r => result.push(r)));
+        return result.filter(selector);
+    }
+
+    sourceEnds(selector) {
+        return new Collection(this.items.filter(r => r.isRelationship).map(r => r.source)).filter(selector);
+    }
+
+    targetEnds(selector) {
+        return new Collection(this.items.filter(r => r.isRelationship).map(r => r.target)).filter(selector);
+    }
+
+    ends(selector) {
+        return this.sourceEnds(selector).add(this.targetEnds(selector));
+    }
+
+    /**
+     * Diagram references are not available outside of Archi.
+     * @returns {Collection} An empty collection.
+     */
+    objectRefs() {
+        return new Collection();
+    }
+
+    [Symbol.iterator]() {
+        return this.items[Symbol.iterator]();
+    }
+}
+
+/**
+ * An in-memory ArchiMate model holding elements and relationships.
+ */
+class Model {
+    constructor(name = '') {
+        this.name = name;
+        this.concepts = new Map();
+        this.idCounter = 0;
+    }
+
+    createElement(type, name, id, documentation) {
+        const element = new Element(id || this.nextId(), type, name, documentation);
+        this.concepts.set(element.id, element);
+        return element;
+    }
+
+    createRelationship(type, name, source, target, id, documentation) {
+        const relationship = new Relationship(id || this.nextId(), type, source, target, name, documentation);
+        source.outRelationships.push(relationship);
+        target.inRelationships.push(relationship);
+        this.concepts.set(relationship.id, relationship);
+        return relationship;
+    }
+
+    nextId() {
+        let id;
+        do {
+            id = 'id-' + (++this.idCounter);
+        } while (this.concepts.has(id));
+        return id;
+    }
+
+    getConcept(id) {
+        return this.concepts.get(id);
+    }
+
+    find(selector) {
+        return new Collection([...this.concepts.values()]).filter(selector);
+    }
+}
+
+/**
+ * Creates a jArchi-like $ function bound to a model.
+ *   $()           - an empty collection
+ *   $(concept)    - a collection holding the concept
+ *   $(collection) - a copy of the collection
+ *   $('selector') - all matching concepts in the model
+ * @param {Model} model
+ * @returns {function}
+ */
+function createSelector(model) {
+    return function $(arg) {
+        if (arg === undefined || arg === null) return new Collection();
+        if (arg instanceof Collection) return arg.clone();
+        if (typeof arg === 'string') return model.find(arg);
+        return new Collection([arg]);
+    };
+}
+
+module.exports = {
+    Collection: Collection,
+    Concept: Concept,
+    Element: Element,
+    Relationship: Relationship,
+    Model: Model,
+    createSelector: createSelector,
+    matches: matches
+};
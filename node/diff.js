@@ -0,0 +1,69 @@
+/**
+ * Incremental validation between two versions of a model.
+ * Works out which concepts were added, removed or changed, so that only the rules touching them are re-run,
+ * and compares the violations of both versions as introduced and fixed ones.
+ */
+'use strict';
+
+/**
+ * Describes what makes up a concept, to detect changes: its type, name, documentation, properties and ends.
+ * @param {object} concept
+ * @returns {string}
+ */
+function signature(concept) {
+    return JSON.stringify([
+        concept.type,
+        concept.name,
+        concept.documentation,
+        concept.properties.map(p => [p.key, p.value]).sort(),
+        concept.isRelationship ? [concept.source.id, concept.target.id] : null
+    ]);
+}
+
+/**
+ * Compares two versions of a model by concept id.
+ * @param {Model} before
+ * @param {Model} after
+ * @returns {{added: string[], removed: string[], changed: string[]}} Concept ids.
+ */
+function compareModels(before, after) {
+    const changes = { added: [], removed: [], changed: [] };
+    after.concepts.forEach((concept, id) => {
+        const previous = before.getConcept(id);
+        if (!previous) changes.added.push(id);
+        else if (signature(previous) !== signature(concept)) changes.changed.push(id);
+    });
+    before.concepts.forEach((concept, id) => {
+        if (!after.getConcept(id)) changes.removed.push(id);
+    });
+    return changes;
+}
+
+/**
+ * Determines the concepts of a model affected by changes: the changed concepts that are in the model, the ends
+ * of changed relationships, and the parents and children of all of those elements.
+ * @param {object} runtime - The runtime of the model (see createRuntime).
+ * @param {string[]} ids - The ids of the added, removed and changed concepts.
+ * @returns {Set<string>} Concept ids.
+ */
+function getAffected(runtime, ids) {
+    const { model, utils } = runtime;
+    const elements = runtime.$();
+    ids.map(id => model.getConcept(id)).filter(Boolean).forEach(concept => {
+        elements.add(concept.isRelationship ? runtime.$(concept.source).add(concept.target) : concept);
+    });
+
+    const affected = new Set(ids.filter(id => model.getConcept(id)));
+    elements.each(e => {
+        affected.add(e.id);
+        const parent = utils.getParent(e);
+        if (parent) affected.add(parent.id);
+        utils.getChildren(e).each(child => affected.add(child.id));
+    });
+    return affected;
+}
+
+module.exports = {
+    compareModels: compareModels,
+    getAffected: getAffected
+};
@@ -0,0 +1,173 @@
+/**
+ * Reader for the ArchiMate Open Exchange Format.
+ * Parses an exchange .xml file into an in-memory model with jArchi-style type names.
+ */
+'use strict';
+
+const { Model } = require('./collection');
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Replaces XML character and entity references.
+ * @param {string} text
+ * @returns {string}
+ */
+function decode(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, ref) => {
+        if (ref.startsWith('#x')) return String.fromCodePoint(parseInt(ref.substring(2), 16));
+        if (ref.startsWith('#')) return String.fromCodePoint(parseInt(ref.substring(1), 10));
+        return ENTITIES[ref] !== undefined ? ENTITIES[ref] : match;
+    });
+}
+
+/**
+ * Strips the namespace prefix from a tag name.
+ * @param {string} name
+ * @returns {string}
+ */
+function localName(name) {
+    return name.substring(name.indexOf(':') + 1);
+}
+
+/**
+ * Parses XML into a tree of {name, attributes, children, text} nodes.
+ * Sufficient for exchange files: no DTDs, no external entities.
+ * @param {string} xml
+ * @returns {object} The document element.
+ */
+function parseXml(xml) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const tagPattern = /<(\/?)([^\s/>]+)((?:\s+[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+    const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let pos = 0;
+
+    while (pos < xml.length) {
+        const lt = xml.indexOf('<', pos);
+        const current = stack[stack.length - 1];
+        if (lt === -1) break;
+        if (lt > pos) current.text += decode(xml.substring(pos, lt));
+
+        if (xml.startsWith('<!--', lt)) {
+            pos = xml.indexOf('-->', lt) + 3;
+        } else if (xml.startsWith('<![CDATA[', lt)) {
+            const end = xml.indexOf(']]>', lt);
+            current.text += xml.substring(lt + 9, end);
+            pos = end + 3;
+        } else if (xml.startsWith('<?', lt)) {
+            pos = xml.indexOf('?>', lt) + 2;
+        } else if (xml.startsWith('<!', lt)) {
+            pos = xml.indexOf('>', lt) + 1;
+        } else {
+            tagPattern.lastIndex = lt;
+            const match = tagPattern.exec(xml);
+            if (!match) throw new Error('Malformed XML at position ' + lt);
+            const [, closing, name, attributeText, selfClosing] = match;
+
+            if (closing) {
+                const open = stack.pop();
+                if (!open || open.name !== localName(name)) throw new Error(`Unexpected closing tag </${name}> at position ${lt}`);
+            } else {
+                const node = { name: localName(name), attributes: {}, children: [], text: '' };
+                let attribute;
+                attributePattern.lastIndex = 0;
+                while ((attribute = attributePattern.exec(attributeText)) !== null) {
+                    node.attributes[attribute[1]] = decode(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+                }
+                current.children.push(node);
+                if (!selfClosing) stack.push(node);
+            }
+            pos = tagPattern.lastIndex;
+        }
+        if (pos < lt) throw new Error('Unterminated markup at position ' + lt);
+    }
+
+    if (stack.length > 1) throw new Error(`Missing closing tag for <${stack[stack.length - 1].name}>`);
+    const documentElement = root.children[0];
+    if (!documentElement) throw new Error('Empty XML document');
+    return documentElement;
+}
+
+function child(node, name) {
+    return node && node.children.find(c => c.name === name);
+}
+
+function children(node, name) {
+    return node ? node.children.filter(c => c.name === name) : [];
+}
+
+/**
+ * Reads a (possibly multilingual) text field such as <name> or <documentation>.
+ * @param {object} node
+ * @param {string} name
+ * @returns {string}
+ */
+function textOf(node, name) {
+    const field = child(node, name);
+    return field ? field.text.trim() : '';
+}
+
+/**
+ * Converts an exchange format type to a jArchi type, e.g. 'BusinessProcess' to 'business-process'
+ * and 'Composition' to 'composition-relationship'.
+ * @param {string} xsiType
+ * @param {boolean} relationship
+ * @returns {string}
+ */
+function toJArchiType(xsiType, relationship) {
+    if (xsiType === 'AndJunction' || xsiType === 'OrJunction') return 'junction';
+    const type = xsiType.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+    return relationship ? type + '-relationship' : type;
+}
+
+function typeOf(node) {
+    const key = Object.keys(node.attributes).find(a => localName(a) === 'type');
+    return key ? node.attributes[key] : '';
+}
+
+function readProperties(node, concept, propertyNames) {
+    children(child(node, 'properties'), 'property').forEach(p => {
+        const key = propertyNames[p.attributes.propertyDefinitionRef || p.attributes.identifierRef];
+        if (key !== undefined) concept.prop(key, textOf(p, 'value'));
+    });
+}
+
+/**
+ * Parses the contents of an Open Exchange Format file.
+ * @param {string} xml
+ * @returns {Model}
+ */
+function parse(xml) {
+    const root = parseXml(xml);
+    if (root.name !== 'model') throw new Error(`Not an ArchiMate exchange file: root element is <${root.name}>`);
+
+    const model = new Model(textOf(root, 'name'));
+
+    const propertyNames = {};
+    const definitions = child(root, 'propertyDefinitions') || child(root, 'propertyDefs');
+    (definitions ? definitions.children : []).forEach(d => {
+        propertyNames[d.attributes.identifier] = textOf(d, 'name') || d.attributes.name;
+    });
+
+    children(child(root, 'elements'), 'element').forEach(node => {
+        const element = model.createElement(toJArchiType(typeOf(node), false), textOf(node, 'name'), node.attributes.identifier, textOf(node, 'documentation'));
+        readProperties(node, element, propertyNames);
+    });
+
+    children(child(root, 'relationships'), 'relationship').forEach(node => {
+        const source = model.getConcept(node.attributes.source);
+        const target = model.getConcept(node.attributes.target);
+        if (!source || !target) throw new Error(`Relationship ${node.attributes.identifier} refers to an unknown source or target`);
+        const relationship = model.createRelationship(toJArchiType(typeOf(node), true), textOf(node, 'name'), source, target, node.attributes.identifier, textOf(node, 'documentation'));
+        readProperties(node, relationship, propertyNames);
+    });
+
+    return model;
+}
+
+module.exports = {
+    parse: parse,
+    parseXml: parseXml,
+    toJArchiType: toJArchiType
+};
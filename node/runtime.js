@@ -0,0 +1,42 @@
+/**
+ * Headless runtime for the COVO scripts.
+ * Loads the shared COVO scripts (config.js, utils.js, rules.js, engine.js, ...) into a sandbox that mimics the jArchi globals.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createSelector } = require('./collection');
+
+const SCRIPT_DIR = path.resolve(__dirname, '..') + path.sep;
+const SCRIPTS = ['config.js', 'io.js', 'utils.js', 'rules.js', 'suppressions.js', 'engine.js', 'exporter.js', 'matrices.js', 'fixes.js', 'baseline.js', 'history.js', 'plugins.js', 'metrics.js', 'importer.js'];
+
+/**
+ * Creates a sandbox with the COVO scripts loaded against the given model.
+ * @param {Model} model
+ * @param {object} [globals] - Additional globals, e.g. a console replacement.
+ * @returns {object} The sandbox, exposing the globals defined by the scripts (config, utils, rules, engine, ...).
+ */
+function createRuntime(model, globals = {}) {
+    const sandbox = Object.assign({
+        $: createSelector(model),
+        model: model,
+        console: console,
+        require: require,
+        __DIR__: SCRIPT_DIR
+    }, globals);
+
+    sandbox.load = function(file) {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    };
+
+    vm.createContext(sandbox);
+    SCRIPTS.forEach(script => sandbox.load(SCRIPT_DIR + script));
+    return sandbox;
+}
+
+module.exports = {
+    SCRIPT_DIR: SCRIPT_DIR,
+    createRuntime: createRuntime
+};
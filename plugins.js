@@ -0,0 +1,104 @@
+/**
+ * COVO Custom Rules
+ * Loads house rules on top of C0-C15 from the *.js files in a directory. Each file registers its rules with
+ * plugins.register(), using the same {id, name, statement, validate(context)} shape as the rules in rules.js:
+ *
+ *   plugins.register({
+ *       id: 'H1',
+ *       name: 'Customer-facing entry',
+ *       statement: 'Every top-level value stream starts with a customer-facing stage.',
+ *       validate: function(context) {
+ *           const violations = ...;
+ *           return {id: this.id, violations: violations};
+ *       }
+ *   });
+ *
+ * Rules are checked when their file is loaded and their results when they run (see engine.validate), so that
+ * a broken file is reported instead of crashing the run.
+ */
+var plugins = (function() {
+
+    let pending = [];
+
+    /**
+     * Registers one or more rules. Called by the rule files while they are loaded.
+     * @param {...object} definitions
+     */
+    function register(...definitions) {
+        pending = pending.concat(definitions);
+    }
+
+    /**
+     * Checks the shape of a rule definition.
+     * @param {*} rule
+     * @param {Set<string>} ids - The ids already taken.
+     * @returns {string|null} The problem, or null if the rule is valid.
+     */
+    function check(rule, ids) {
+        if (!rule || typeof rule !== 'object') return 'rule must be an object, got ' + rule;
+        if (typeof rule.id !== 'string' || rule.id.trim() === '') return 'rule must have a non-empty string id';
+        if (ids.has(rule.id)) return `duplicate rule id '${rule.id}'`;
+        if (typeof rule.name !== 'string') return `rule '${rule.id}' must have a name`;
+        if (typeof rule.statement !== 'string') return `rule '${rule.id}' must have a statement`;
+        if (typeof rule.validate !== 'function') return `rule '${rule.id}' must have a validate(context) function`;
+        const optional = ['getCounterparts', 'fix'].find(f => f in rule && typeof rule[f] !== 'function');
+        if (optional) return `rule '${rule.id}' has a ${optional} that is not a function`;
+        if ('dependsOn' in rule && !(Array.isArray(rule.dependsOn) && rule.dependsOn.every(id => typeof id === 'string'))) {
+            return `rule '${rule.id}' has a dependsOn that is not an array of rule ids`;
+        }
+        return null;
+    }
+
+    /**
+     * Loads the rule files in a directory (in alphabetical order) and adds their valid rules to the rules.
+     * A file that cannot be loaded or registers an invalid rule is reported; its valid rules are still added.
+     * @param {string} directory
+     * @returns {{loaded: object[], errors: object[]}} loaded holds the added rules, errors holds {file, message}.
+     */
+    function loadDirectory(directory) {
+        const outcome = { loaded: [], errors: [] };
+        const ids = new Set(rules.map(r => r.id));
+
+        io.listFiles(directory, '.js').forEach(file => {
+            pending = [];
+            try {
+                load(directory + '/' + file);
+            } catch (error) {
+                outcome.errors.push({ file: file, message: 'cannot be loaded: ' + (error.message || error) });
+                return;
+            }
+            if (pending.length === 0) outcome.errors.push({ file: file, message: 'does not register any rules' });
+
+            pending.forEach(rule => {
+                const problem = check(rule, ids);
+                if (problem) {
+                    outcome.errors.push({ file: file, message: problem });
+                    return;
+                }
+                rule.source = file;
+                ids.add(rule.id);
+                rules.push(rule);
+                outcome.loaded.push(rule);
+            });
+        });
+
+        pending = [];
+        return outcome;
+    }
+
+    /**
+     * Prints which custom rules were loaded and which files could not be.
+     * @param {object} outcome - As returned by loadDirectory.
+     */
+    function report(outcome) {
+        if (outcome.loaded.length > 0) console.log('Custom rules loaded: ' + outcome.loaded.map(r => r.id + ' (' + r.source + ')').join(', '));
+        outcome.errors.forEach(e => console.log('Custom rule file ' + e.file + ': ' + e.message));
+    }
+
+    return {
+        register: register,
+        loadDirectory: loadDirectory,
+        report: report
+    };
+
+})();
@@ -1,6 +1,43 @@
 var rules = (function() {
 
     return [
+        {
+            id: 'C0',
+            name: 'Type conformance',
+            statement: 'The model only consists of value streams, capabilities and objects of the configured types, related by refinement or by relationships of the configured types in their documented directions.',
+            validate: function(context) {
+                // DETERMINE SCOPE
+                const scope = context.elements.clone().add(context.relationships);
+
+                // IDENTIFY VIOLATIONS
+                const details = {};
+                const violations = scope.filter(c => {
+                    if (!utils.isRelationship(c)) {
+                        if (utils.getRole(c.type)) return false;
+                        details[c.id] = 'unsupported element type ' + c.type;
+                        return true;
+                    }
+
+                    if (utils.getCategory(c)) return false;
+                    const category = utils.getCategoryByEnds(c);
+                    const reversed = utils.getReversedCategory(c);
+                    if (!utils.getRole(c.source.type) || !utils.getRole(c.target.type)) {
+                        details[c.id] = 'connects an unsupported element type';
+                    } else if (c.type === config.TYPES.refinement) {
+                        details[c.id] = 'refinement between different element types';
+                    } else if (category) {
+                        details[c.id] = c.type + ' is not allowed for ' + category + ', expected ' + config.RELATIONSHIPS[category].join(' or ');
+                    } else if (reversed) {
+                        details[c.id] = 'reverse direction, ' + reversed + ' runs from ' + c.target.type + ' to ' + c.source.type;
+                    } else {
+                        details[c.id] = 'unsupported relationship from ' + c.source.type + ' to ' + c.target.type;
+                    }
+                    return true;
+                });
+
+                return {id: this.id, scope: scope, violations: violations, details: details};
+            }
+        },
         {
             id: 'C1',
             name: 'Unique parent',
@@ -12,7 +49,10 @@ var rules = (function() {
                 // IDENTIFY VIOLATIONS
                 const violations = scope.filter(utils.hasMultipleParents);
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, violations: violations};
+            },
+            getCounterparts: function(violation, context) {
+                return $(violation).inRels(config.TYPES.refinement).sourceEnds(); // all parents
             }
         },
         {
@@ -24,33 +64,76 @@ var rules = (function() {
                 const scope = context.elements.clone();
 
                 // IDENTIFY VIOLATIONS
-                const violations = scope.filter(utils.isOwnAncestor);
+                const reported = new Set();
+                const evidence = {};
+                const violations = scope.filter(e => {
+                    if (!utils.isOwnAncestor(e)) return false;
+                    const cycle = utils.getCycle(e);
+                    if (reported.has(cycle)) return false; // report each cycle once, at its first member in scope
+                    reported.add(cycle);
+
+                    evidence[e.id] = {
+                        facts: {cycle: cycle.map(c => c.id)},
+                        explanation: ['refinement cycle of ' + cycle.length + ' elements: ' + utils.getLabels(cycle.concat(cycle[0])).join(' > ')]
+                    };
+                    return true;
+                });
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, violations: violations, evidence: evidence};
+            },
+            getCounterparts: function(violation, context) {
+                const members = $();
+                utils.getCycle(violation).forEach(e => members.add(e));
+                return members; // all members of the cycle
             }
         },
         {
             id: 'C3',
             name: 'Consistent refinement depth',
-            statement: 'All leaf elements (elements without children) must have the same number of ancestors.',
+            statement: 'All leaf elements (elements without children) of the same type must have the same number of ancestors, or the number configured for their type.',
+            dependsOn: ['C1', 'C2'],
             validate: function(context) {
                 // DETERMINE SCOPE
-                const scope = context.elements.filter(utils.isLeaf);
+                const scope = context.elements.filter(e => utils.isLeaf(e) && !utils.isCyclic(e)); // C2 reports cycles
 
                 // IDENTIFY VIOLATIONS
-                const dominantDepth = utils.getDominantDepth(scope);
-                const violations = scope.filter(e => utils.getLevel(e) !== dominantDepth); // blame the exceptions
+                // Leaves are compared with the other leaves of their type (config.DEPTH), and with perRoot of their top-level element
+                const groups = utils.groupLeaves(scope);
+
+                const details = {};
+                const evidence = {};
+                const violations = scope.filter(e => {
+                    const group = groups.get(e.id);
+                    const depth = utils.getLevel(e);
+                    if (depth === group.expectedDepth) return false; // blame the exceptions
+
+                    const path = utils.getAncestors(e).reverse();
+                    const expectedCount = group.leaves.filter(l => utils.getLevel(l) === group.expectedDepth).size();
+                    details[e.id] = 'depth ' + depth + ', expected ' + group.expectedDepth;
+                    evidence[e.id] = {
+                        facts: {depth: depth, expectedDepth: group.expectedDepth, configured: group.configured, ancestors: path.map(a => a.id)},
+                        explanation: [
+                            'leaf at depth ' + depth + (path.length > 0 ? ', under ' + utils.getLabels(path).join(' > ') : ', without ancestors'),
+                            group.configured
+                                ? 'depth ' + group.expectedDepth + ' is configured for ' + group.name + ' (' + expectedCount + ' of ' + group.leaves.size() + ' are at it)'
+                                : expectedCount + ' of ' + group.leaves.size() + ' ' + group.name + ' are at the dominant depth ' + group.expectedDepth
+                        ]
+                    };
+                    return true;
+                });
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, violations: violations, details: details, evidence: evidence};
             }
         },
         {
             id: 'C4',
             name: 'Upward coherence',
             statement: 'A non-hierarchical relationship between two elements requires a corresponding relationship between their parents (if any), provided the parents are distinct and with one exception: the relationship does not need to be propagated if the parent elements are both primary capabilities within the same top-level value stream.', // TODO: ...or objects transformed by those primary capabilities.
+            dependsOn: ['C1', 'C2'],
             validate: function(context) {
                 // DETERMINE SCOPE
                 let scope = context.horizontalRelations.clone();
+                const candidates = scope;
 
                 if (context.partial) {
                     // Only same-type relationships at adjacent levels
@@ -72,20 +155,30 @@ var rules = (function() {
                 }
 
                 // IDENTIFY VIOLATIONS
+                const evidence = {};
                 const violations = scope.filter(r => {
                     const pSrc = utils.getParent(r.source);
                     const pTgt = utils.getParent(r.target);
 
                     // No parents, only one parent, or same parent
                     if (!pSrc && !pTgt) return false;
-                    if (!pSrc || !pTgt) return true;
+                    if (!pSrc || !pTgt) {
+                        evidence[r.id] = {
+                            facts: {sourceParent: pSrc ? pSrc.id : null, targetParent: pTgt ? pTgt.id : null},
+                            explanation: [
+                                (pSrc ? 'only the source has a parent (' + pSrc.name + ')' : 'only the target has a parent (' + pTgt.name + ')')
+                                    + ', so the relationship has no counterpart between the parents'
+                            ]
+                        };
+                        return true;
+                    }
                     if (pSrc.id === pTgt.id) return false;
 
                     // Exception for primary capabilities in same top-level value stream
                     if (r.source.type === config.TYPES.capability && r.target.type === config.TYPES.capability) {
                         const sameTopLevelValueStream = utils.isOverlapping(
-                            utils.getRoots(utils.getTargets(r.source, context.manifestationRelations)),
-                            utils.getRoots(utils.getTargets(r.target, context.manifestationRelations))
+                            utils.getRoots(utils.getTargets(r.source, context.index.manifestation)),
+                            utils.getRoots(utils.getTargets(r.target, context.index.manifestation))
                         );
                         if (sameTopLevelValueStream) return false;
                     }
@@ -93,30 +186,45 @@ var rules = (function() {
                     // ... and their objects
                     if (r.source.type === config.TYPES.object && r.target.type === config.TYPES.object) {
                         const sameTopLevelValueStream = utils.isOverlapping(
-                            utils.getRoots(utils.getTargets(utils.getSources(r.source, context.transformationRelations), context.manifestationRelations)),
-                            utils.getRoots(utils.getTargets(utils.getSources(r.target, context.transformationRelations), context.manifestationRelations))
+                            utils.getRoots(utils.getTargets(utils.getSources(r.source, context.index.transformation), context.index.manifestation)),
+                            utils.getRoots(utils.getTargets(utils.getSources(r.target, context.index.transformation), context.index.manifestation))
                         );
                         if (sameTopLevelValueStream) return false;
                     }
 
                     // Find matching parent relation
-                    return context.horizontalRelations.filter(pR =>
-                        pR.type === r.type
-                        && pR.source.id === pSrc.id
-                        && pR.target.id === pTgt.id
-                    ).size() === 0;
+                    if (utils.hasRelationship(pSrc, pTgt, r.type, context.index.horizontal)) return false;
+
+                    const explanation = ['parents: ' + pSrc.name + ' and ' + pTgt.name, 'missing: ' + pSrc.name + ' --[' + r.type + ']--> ' + pTgt.name];
+                    if (r.source.type === r.target.type && [config.TYPES.capability, config.TYPES.object].includes(r.source.type)) {
+                        explanation.push('no exception: the elements are not within the same top-level value stream');
+                    }
+                    evidence[r.id] = {
+                        facts: {sourceParent: pSrc.id, targetParent: pTgt.id, missingType: r.type},
+                        explanation: explanation
+                    };
+                    return true;
                 });
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, candidates: candidates, violations: violations, evidence: evidence};
+            },
+            fix: function(violation, context) {
+                const pSrc = utils.getParent(violation.source);
+                const pTgt = utils.getParent(violation.target);
+                if (!pSrc || !pTgt) return []; // a missing parent cannot be repaired mechanically
+
+                return [{action: 'create', type: violation.type, source: pSrc, target: pTgt, reason: 'propagate ' + utils.getLabel(violation) + ' to the parents'}];
             }
         },
         {
             id: 'C5',
             name: 'Downward coherence',
             statement: 'A relationship between two parent elements requires that at least one pair of their respective children (if any) is also related.',
+            dependsOn: ['C1', 'C2'],
             validate: function(context) {
                 // DETERMINE SCOPE
                 let scope = context.horizontalRelations.clone();
+                const candidates = scope;
 
                 if (context.partial) scope = utils.filterByLevelAdjacency(scope, 1);
 
@@ -127,61 +235,72 @@ var rules = (function() {
                     if (utils.isLeaf(r.source) || utils.isLeaf(r.target)) return true;
 
                     // Find matching child relation
-                    return context.horizontalRelations.filter(cR =>
-                        cR.type === r.type
-                        && utils.isOverlapping(cR.source, utils.getChildren(r.source))
-                        && utils.isOverlapping(cR.target, utils.getChildren(r.target))
-                    ).size() === 0;
+                    return !utils.hasRelationship(utils.getChildren(r.source), utils.getChildren(r.target), r.type, context.index.horizontal);
                 });
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, candidates: candidates, violations: violations};
+            },
+            getCounterparts: function(violation, context) {
+                return utils.getChildren(violation.source).add(utils.getChildren(violation.target));
             }
         },
         {
             id: 'C6',
             name: 'Capability impact',
             statement: 'Each business capability must transform exactly one business object, with one exception: at the leaf level it may transform multiple objects.',
+            dependsOn: ['C1', 'C2'],
             validate: function(context) {
                 // DETERMINE SCOPE
                 let scope = context.capabilities.clone();
+                const candidates = scope;
 
                 if (context.partial) scope = utils.filterByLevel(scope, utils.getLevels(context.transformationRelations));
 
                 // IDENTIFY VIOLATIONS
                 const violations = scope.filter(e => {
-                    const objectCount = utils.getTargets(e, context.transformationRelations).size();
+                    const objectCount = utils.getTargets(e, context.index.transformation).size();
                     return utils.isLeaf(e) ? (objectCount < 1) : (objectCount !== 1);
                 });
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, candidates: candidates, violations: violations};
+            },
+            getCounterparts: function(violation, context) {
+                return utils.getTargets(violation, context.index.transformation);
             }
         },
         {
             id: 'C7',
             name: 'Object relevance',
             statement: 'Each business object must be transformed by exactly one business capability, with one exception: at the leaf level, an object may be transformed by multiple capabilities.',
+            dependsOn: ['C1', 'C2'],
             validate: function(context) {
                 // DETERMINE SCOPE
                 let scope = context.objects.clone();
+                const candidates = scope;
 
                 if (context.partial) scope = utils.filterByLevel(scope, utils.getLevels(context.transformationRelations));
 
                 // IDENTIFY VIOLATIONS
                 const violations = scope.filter(e => {
-                    const capabilityCount = utils.getSources(e, context.transformationRelations).size();
+                    const capabilityCount = utils.getSources(e, context.index.transformation).size();
                     return utils.isLeaf(e) ? (capabilityCount < 1) : (capabilityCount !== 1);
                 });
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, candidates: candidates, violations: violations};
+            },
+            getCounterparts: function(violation, context) {
+                return utils.getSources(violation, context.index.transformation);
             }
         },
         {
             id: 'C8',
             name: 'Capability purpose',
             statement: 'Each capability must either directly realize a value stream stage or support another capability that does.',
+            dependsOn: ['C1', 'C2'],
             validate: function(context) {
                 // DETERMINE SCOPE
                 let scope = context.capabilities.clone();
+                const candidates = scope;
 
                 if (context.partial) {
                     scope = utils.filterByLevel(scope, utils.getSharedLevels(
@@ -191,53 +310,97 @@ var rules = (function() {
                 };
 
                 // IDENTIFY VIOLATIONS
-                const violations = scope.filter(e => !utils.isRelatedTransitively(e, context.horizontalRelations, config.TYPES.valueStream));
+                const evidence = {};
+                const violations = scope.filter(e => {
+                    if (utils.isRelatedTransitively(e, context.index.horizontal, config.TYPES.valueStream)) return false;
+
+                    const searched = utils.getRelatedTransitively(e, context.index.horizontal);
+                    evidence[e.id] = {
+                        facts: {searched: searched.map(c => c.id)},
+                        explanation: [searched.size() === 0
+                            ? 'realizes no value stream stage and supports no other capability'
+                            : 'realizes no value stream stage, and neither do the capabilities it supports (directly or indirectly): ' + utils.getLabels(searched).join(', ')]
+                    };
+                    return true;
+                });
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, candidates: candidates, violations: violations, evidence: evidence};
             }
         },
         {
             id: 'C9',
             name: 'Traceability',
             statement: 'Each value stream stage must be realized by exactly one capability.',
+            dependsOn: ['C1', 'C2'],
             validate: function(context) {
                 // DETERMINE SCOPE
                 let scope = context.valueStreams.clone();
+                const candidates = scope;
 
                 if (context.partial) scope = utils.filterByLevel(scope, utils.getLevels(context.manifestationRelations));
 
                 // IDENTIFY VIOLATIONS
-                const violations = scope.filter(e => utils.getSources(e, context.manifestationRelations).size() !== 1);
-
-                return {id: this.id, violations: violations};
+                const violations = scope.filter(e => utils.getSources(e, context.index.manifestation).size() !== 1);
+
+                return {id: this.id, scope: scope, candidates: candidates, violations: violations};
+            },
+            getCounterparts: function(violation, context) {
+                return utils.getSources(violation, context.index.manifestation);
+            },
+            fix: function(violation, context) {
+                const capabilityCount = utils.getSources(violation, context.index.manifestation).size();
+                const value = this.id + ': realized by ' + capabilityCount + ' capabilities instead of one';
+
+                return [{action: 'flag', concept: violation, key: config.FIX.flagProperty, value: value, reason: 'choose the manifesting capability'}];
             }
         },
         {
             id: 'C10',
             name: 'Exclusive manifestation',
             statement: 'Each capability may manifest only once as primary per top-level value stream, with an exception for the leaf-level.',
+            dependsOn: ['C1', 'C2'],
             validate: function(context) {
                 // DETERMINE SCOPE
                 let scope = context.capabilities.clone();
+                const candidates = scope;
 
                 if (context.partial) scope = utils.filterByLevel(scope, utils.getLevels(context.manifestationRelations));
 
                 // IDENTIFY VIOLATIONS
+                const evidence = {};
                 const violations = scope.filter(e => {
-                    const valueStreams = utils.getTargets(e, context.manifestationRelations);
-                    return !utils.isLeaf(e) && valueStreams.size() > utils.getRoots(valueStreams).size();
+                    const valueStreams = utils.getTargets(e, context.index.manifestation);
+                    const roots = utils.getRoots(valueStreams);
+                    if (utils.isLeaf(e) || valueStreams.size() <= roots.size()) return false;
+
+                    const repeated = [];
+                    roots.each(root => {
+                        const stages = valueStreams.filter(s => utils.getRoot(s).id === root.id);
+                        if (stages.size() > 1) repeated.push({root: root, stages: stages});
+                    });
+                    evidence[e.id] = {
+                        facts: {valueStreams: repeated.map(x => ({root: x.root.id, stages: x.stages.map(s => s.id)}))},
+                        explanation: repeated.map(x => 'manifests ' + x.stages.size() + ' times in ' + x.root.name + ': ' + utils.getLabels(x.stages).join(', '))
+                    };
+                    return true;
                 });
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, candidates: candidates, violations: violations, evidence: evidence};
+            },
+            getCounterparts: function(violation, context) {
+                const valueStreams = utils.getTargets(violation, context.index.manifestation);
+                return valueStreams.add(utils.getRoots(valueStreams));
             }
         },
         {
             id: 'C11',
             name: 'Cohesion',
             statement: 'At each level, the descendants of a top-level element must form a connected graph.',
+            dependsOn: ['C1', 'C2'],
             validate: function(context) {
                 // DETERMINE SCOPE
                 let scope = context.elements.clone();
+                const candidates = scope;
 
                 if (context.partial) {
                     scope = $();
@@ -249,6 +412,8 @@ var rules = (function() {
                     });
                 }
 
+                scope = scope.filter(e => !utils.isCyclic(e)); // C2 reports cycles
+
                 // IDENTIFY VIOLATIONS
                 const buckets = {};
                 scope.each(e => {
@@ -259,35 +424,42 @@ var rules = (function() {
 
                 const violations = $();
                 Object.values(buckets).forEach(nodes => {
-                    if (!utils.isConnected(nodes, context.horizontalReflexiveRelations)) violations.add(nodes);
+                    if (!utils.isConnected(nodes, context.index.horizontalReflexive)) violations.add(nodes);
                 });
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, candidates: candidates, violations: violations};
             }
         },
         {
             id: 'C12',
             name: 'Compartmentalization',
             statement: 'A relationship between elements of the same type is not allowed if they belong to different top-level elements.',
+            dependsOn: ['C1', 'C2'],
             validate: function(context) {
                 // DETERMINE SCOPE
-                let scope = context.horizontalReflexiveRelations.clone();
+                let scope = context.horizontalReflexiveRelations.filter(r => !utils.isCyclic(r.source) && !utils.isCyclic(r.target)); // C2 reports cycles
+                const candidates = scope;
 
                 if (context.partial) scope = scope.filter(r => !utils.isFloating(r.source) && !utils.isFloating(r.target));
 
                 // IDENTIFY VIOLATIONS
                 const violations = scope.filter(r => utils.getRoot(r.source).id !== utils.getRoot(r.target).id);
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, candidates: candidates, violations: violations};
+            },
+            getCounterparts: function(violation, context) {
+                return utils.getRoots($(violation.source).add(violation.target));
             }
         },
         {
             id: 'C13',
             name: 'Object dependency',
             statement: 'Each support relationship between capabilities must have a corresponding material relationship between objects.',
+            dependsOn: ['C1', 'C2'],
             validate: function(context) {
                 // DETERMINE SCOPE
                 let scope = context.supportRelations.clone();
+                const candidates = scope;
 
                 if (context.partial) {
                     scope = utils.filterByLevel(scope, utils.getSharedLevels(
@@ -299,22 +471,34 @@ var rules = (function() {
                 // IDENTIFY VIOLATIONS
                 const violations = scope.filter(r =>
                     !utils.isRelated(
-                        utils.getTargets(r.target, context.transformationRelations),
-                        utils.getTargets(r.source, context.transformationRelations),
-                        context.materialRelations
+                        utils.getTargets(r.target, context.index.transformation),
+                        utils.getTargets(r.source, context.index.transformation),
+                        context.index.material
                     )
                 );
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, candidates: candidates, violations: violations};
+            },
+            getCounterparts: function(violation, context) {
+                return utils.getTargets($(violation.source).add(violation.target), context.index.transformation);
+            },
+            fix: function(violation, context) {
+                // The consumer's object depends on the provider's object
+                const depender = utils.getTargets(violation.target, context.index.transformation);
+                const dependee = utils.getTargets(violation.source, context.index.transformation);
+
+                return utils.proposeMaterialRelation(depender, dependee, 'ground ' + utils.getLabel(violation));
             }
         },
         {
             id: 'C14',
             name: 'Object flow',
             statement: 'Each succession relationship between value stream stages must have a corresponding material relationship between the objects transformed by their primary capabilities.',
+            dependsOn: ['C1', 'C2'],
             validate: function(context) {
                 // DETERMINE SCOPE
                 let scope = context.successionRelations.clone();
+                const candidates = scope;
 
                 if (context.partial) {
                     scope = utils.filterByLevel(scope, utils.getSharedLevels(
@@ -326,22 +510,35 @@ var rules = (function() {
                 // IDENTIFY VIOLATIONS
                 const violations = scope.filter(r =>
                     !utils.isRelated(
-                        utils.getTargets(utils.getSources(r.target, context.manifestationRelations), context.transformationRelations),
-                        utils.getTargets(utils.getSources(r.source, context.manifestationRelations), context.transformationRelations),
-                        context.materialRelations
+                        utils.getTargets(utils.getSources(r.target, context.index.manifestation), context.index.transformation),
+                        utils.getTargets(utils.getSources(r.source, context.index.manifestation), context.index.transformation),
+                        context.index.material
                     )
                 );
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, candidates: candidates, violations: violations};
+            },
+            getCounterparts: function(violation, context) {
+                const capabilities = utils.getSources($(violation.source).add(violation.target), context.index.manifestation);
+                return capabilities.add(utils.getTargets(capabilities, context.index.transformation));
+            },
+            fix: function(violation, context) {
+                // The successor's object depends on the predecessor's object
+                const depender = utils.getTargets(utils.getSources(violation.target, context.index.manifestation), context.index.transformation);
+                const dependee = utils.getTargets(utils.getSources(violation.source, context.index.manifestation), context.index.transformation);
+
+                return utils.proposeMaterialRelation(depender, dependee, 'ground ' + utils.getLabel(violation));
             }
         },
         {
             id: 'C15',
             name: 'Grounded dependencies',
             statement: 'A material relationship between objects is only allowed if they are transformed (1) by the same capability, (2) by capabilities with a support relationship, or (3) by capabilities that are manifested by succeeding value stream stages.',
+            dependsOn: ['C1', 'C2'],
             validate: function(context) {
                 // DETERMINE SCOPE
                 let scope = context.materialRelations.clone();
+                const candidates = scope;
 
                 if (context.partial) {
                     scope = utils.filterByLevel(scope, utils.getSharedLevels(
@@ -353,23 +550,42 @@ var rules = (function() {
                 }
 
                 // IDENTIFY VIOLATIONS
+                const evidence = {};
+                const list = concepts => utils.getLabels(concepts).join(', ') || 'none';
                 const violations = scope.filter(r => {
-                    const srcCaps = utils.getSources(r.source, context.transformationRelations);
-                    const tgtCaps = utils.getSources(r.target, context.transformationRelations);
+                    const srcCaps = utils.getSources(r.source, context.index.transformation);
+                    const tgtCaps = utils.getSources(r.target, context.index.transformation);
                     if (utils.isOverlapping(srcCaps, tgtCaps)) return false; // (1) same capability
 
-                    const supportedCaps = utils.getTargets(tgtCaps, context.supportRelations);
+                    const supportedCaps = utils.getTargets(tgtCaps, context.index.support);
                     if (utils.isOverlapping(supportedCaps, srcCaps)) return false; // (2) support relation
 
-                    const srcStages = utils.getTargets(srcCaps, context.manifestationRelations);
-                    const tgtStages = utils.getTargets(tgtCaps, context.manifestationRelations);
-                    const sucStages = utils.getTargets(tgtStages, context.successionRelations);
+                    const srcStages = utils.getTargets(srcCaps, context.index.manifestation);
+                    const tgtStages = utils.getTargets(tgtCaps, context.index.manifestation);
+                    const sucStages = utils.getTargets(tgtStages, context.index.succession);
                     if (utils.isOverlapping(sucStages, srcStages)) return false; // (3) succeeding stages
 
+                    evidence[r.id] = {
+                        facts: {
+                            sourceCapabilities: srcCaps.map(c => c.id),
+                            targetCapabilities: tgtCaps.map(c => c.id),
+                            supportedCapabilities: supportedCaps.map(c => c.id),
+                            sourceStages: srcStages.map(s => s.id),
+                            succeedingStages: sucStages.map(s => s.id)
+                        },
+                        explanation: [
+                            '(1) same capability: no (' + r.source.name + ' is transformed by: ' + list(srcCaps) + '; ' + r.target.name + ' by: ' + list(tgtCaps) + ')',
+                            '(2) support relationship: no (the capabilities transforming ' + r.target.name + ' support: ' + list(supportedCaps) + ')',
+                            '(3) succeeding stages: no (stages after those of ' + r.target.name + ': ' + list(sucStages) + '; stages of ' + r.source.name + ': ' + list(srcStages) + ')'
+                        ]
+                    };
                     return true;
                 });
 
-                return {id: this.id, violations: violations};
+                return {id: this.id, scope: scope, candidates: candidates, violations: violations, evidence: evidence};
+            },
+            getCounterparts: function(violation, context) {
+                return utils.getSources($(violation.source).add(violation.target), context.index.transformation);
             }
         },
     ];
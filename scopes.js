@@ -0,0 +1,124 @@
+/**
+ * COVO Validation Scopes for jArchi
+ * Determines the elements and relationships to validate in partial mode: the current selection, the concepts
+ * on the open view, the contents of a model folder, or a top-level element with its refinement subtree.
+ *
+ * Important for developers to understand: The elements and relationships added to the context
+ * are limited by the scope while their properties are not. For example, elements.rels()
+ * returns all relationships, including those not present in the scope.
+ */
+var scopes = (function() {
+
+    /**
+     * Collects the concepts referenced by diagram components.
+     * @param {collection} components - Diagram objects and connections.
+     * @returns {{elements: collection, relationships: collection}}
+     */
+    function fromDiagramComponents(components) {
+        const elements = $();
+        components.find('element').map(e => e.concept).forEach(c => elements.add(c));
+        const relationships = $();
+        components.find('relationship').map(r => r.concept).forEach(c => relationships.add(c));
+        return { elements: elements, relationships: relationships };
+    }
+
+    /**
+     * Scopes the validation to the selected concepts.
+     * @returns {{name: string, elements: collection, relationships: collection}}
+     */
+    function fromSelection() {
+        const scope = fromDiagramComponents(selection);
+        scope.name = 'selection';
+        return scope;
+    }
+
+    /**
+     * Finds the view that is open in the active editor, or else the selected view.
+     * @returns {object|null}
+     */
+    function getActiveView() {
+        try {
+            const PlatformUI = Java.type('org.eclipse.ui.PlatformUI');
+            const editor = PlatformUI.getWorkbench().getActiveWorkbenchWindow().getActivePage().getActiveEditor();
+            const view = editor ? $('#' + editor.getModel().getId()).first() : null;
+            if (view) return view;
+        } catch (error) {
+            // the active editor is not a diagram editor
+        }
+        return selection.filter('archimate-diagram-model').first() || null;
+    }
+
+    /**
+     * Scopes the validation to all concepts on the open view.
+     * @returns {{name: string, elements: collection, relationships: collection}|null} Null if no view is open.
+     */
+    function fromActiveView() {
+        const view = getActiveView();
+        if (!view) return null;
+        const scope = fromDiagramComponents($(view));
+        scope.name = 'view "' + view.name + '"';
+        return scope;
+    }
+
+    /**
+     * Returns the path of a folder, e.g. 'Business/Capabilities'.
+     * @param {object} folder
+     * @returns {string}
+     */
+    function getFolderPath(folder) {
+        const names = [folder.name];
+        let parent = $(folder).parent().first();
+        while (parent && parent.type === 'folder') {
+            names.unshift(parent.name);
+            parent = $(parent).parent().first();
+        }
+        return names.join('/');
+    }
+
+    /**
+     * Asks for a model folder and scopes the validation to its elements (including subfolders) and their relationships.
+     * @returns {{name: string, elements: collection, relationships: collection}|null} Null if cancelled.
+     */
+    function fromFolder() {
+        const folders = {};
+        $('folder').each(f => {
+            if ($(f).find('element').size() > 0) folders[getFolderPath(f)] = f;
+        });
+        const paths = Object.keys(folders).sort();
+        if (paths.length === 0) return null;
+        const choice = '' + window.promptSelection('Validate the elements in which folder?', paths);
+        const folder = folders[choice];
+        if (!folder) return null; // user chose to cancel
+
+        const elements = $(folder).find('element');
+        return { name: 'folder "' + choice + '"', elements: elements, relationships: elements.rels() };
+    }
+
+    /**
+     * Asks for a top-level element and scopes the validation to its refinement subtree and their relationships.
+     * A hierarchy whose top is a refinement cycle is offered by the member that stands in for its root (see utils.getRoot).
+     * @returns {{name: string, elements: collection, relationships: collection}|null} Null if cancelled.
+     */
+    function fromSubtree() {
+        const roots = {};
+        const supported = model.find('element').filter(e => utils.getRole(e.type));
+        utils.indexHierarchy(supported);
+        utils.getRoots(supported).each(e => roots[utils.getRole(e.type) + ': ' + utils.getLabel(e) + ' (' + e.id + ')'] = e);
+        const labels = Object.keys(roots).sort();
+        if (labels.length === 0) return null;
+        const choice = '' + window.promptSelection('Validate which top-level element with its subtree?', labels);
+        const root = roots[choice];
+        if (!root) return null; // user chose to cancel
+
+        const elements = $(root).add(utils.getDescendants(root));
+        return { name: 'subtree of "' + utils.getLabel(root) + '"', elements: elements, relationships: elements.rels() };
+    }
+
+    return {
+        fromSelection: fromSelection,
+        fromActiveView: fromActiveView,
+        fromFolder: fromFolder,
+        fromSubtree: fromSubtree
+    };
+
+})();
@@ -0,0 +1,100 @@
+/**
+ * COVO Suppressions
+ * Deliberate exceptions are marked on the concept itself, e.g. covo:ignore = C3,C7 together with
+ * a mandatory covo:ignore-reason. Suppressed concepts are skipped for the named rules.
+ */
+var suppressions = (function() {
+
+    /**
+     * Reads the suppression declared on a concept.
+     * @param {object} concept
+     * @returns {object|null} {concept, ruleIds, reason, matched}, or null if the concept declares none.
+     */
+    function read(concept) {
+        const value = concept.prop(config.SUPPRESSION.property);
+        if (!value) return null;
+        const reason = concept.prop(config.SUPPRESSION.reasonProperty);
+        return {
+            concept: concept,
+            ruleIds: ('' + value).split(',').map(id => id.trim()).filter(id => id !== ''),
+            reason: reason ? ('' + reason).trim() : '',
+            matched: new Set()
+        };
+    }
+
+    /**
+     * Collects the suppressions declared on the concepts in the context.
+     * @param {object} context
+     * @returns {object} Suppressions keyed by concept id.
+     */
+    function collect(context) {
+        const index = {};
+        context.elements.clone().add(context.relationships).each(c => {
+            const suppression = read(c);
+            if (suppression) index[c.id] = suppression;
+        });
+        return index;
+    }
+
+    /**
+     * Moves the violations that are validly suppressed for the result's rule from result.violations to result.suppressed.
+     * Suppressions without a reason are not applied.
+     * @param {object} result
+     * @param {object} index - Suppressions keyed by concept id; extended with violating concepts outside the context.
+     */
+    function apply(result, index) {
+        const isSuppressed = v => {
+            if (!(v.id in index)) index[v.id] = read(v);
+            const suppression = index[v.id];
+            if (!suppression || !suppression.reason || !suppression.ruleIds.includes(result.id)) return false;
+            suppression.matched.add(result.id);
+            return true;
+        };
+        result.suppressed = result.violations.filter(isSuppressed);
+        const suppressedIds = new Set(result.suppressed.map(v => v.id));
+        result.violations = result.violations.filter(v => !suppressedIds.has(v.id));
+    }
+
+    /**
+     * Summarizes the applied, stale and invalid suppressions.
+     * A suppression is stale for each named rule that ran without it suppressing a violation of that rule.
+     * Rules that did not run (e.g., disabled, skipped or failing ones) cannot make a suppression stale.
+     * @param {object} index
+     * @param {object[]} results
+     * @param {string[]} ruleIds - The ids of the rules that ran.
+     * @returns {{applied: number, stale: object[], invalid: object[]}} stale holds {concept, ruleId}, invalid holds concepts.
+     */
+    function summarize(index, results, ruleIds) {
+        const summary = { applied: 0, stale: [], invalid: [] };
+        results.forEach(res => summary.applied += res.suppressed.size());
+        Object.values(index).forEach(suppression => {
+            if (!suppression) return;
+            if (!suppression.reason) {
+                summary.invalid.push(suppression.concept);
+                return;
+            }
+            suppression.ruleIds
+                .filter(ruleId => ruleIds.includes(ruleId) && !suppression.matched.has(ruleId))
+                .forEach(ruleId => summary.stale.push({ concept: suppression.concept, ruleId: ruleId }));
+        });
+        return summary;
+    }
+
+    /**
+     * Returns the reason given for suppressing a concept.
+     * @param {object} concept
+     * @returns {string}
+     */
+    function getReason(concept) {
+        const suppression = read(concept);
+        return suppression ? suppression.reason : '';
+    }
+
+    return {
+        collect: collect,
+        apply: apply,
+        summarize: summarize,
+        getReason: getReason
+    };
+
+})();
@@ -0,0 +1,102 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const coarchi = require('../node/coarchi');
+
+const NS = 'xmlns:archimate="http://www.archimatetool.com/archimate" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"';
+
+const TYPES = {
+    Order: 'BusinessProcess', Quote: 'BusinessProcess', Deliver: 'BusinessProcess',
+    Sales: 'BusinessFunction', Pricing: 'BusinessFunction', Shipping: 'BusinessFunction',
+    Ledger: 'BusinessObject', Invoice: 'BusinessObject', Parcel: 'BusinessObject'
+};
+
+// A model that conforms to all rules, as [relationship type, source, target]
+const RELATIONS = [
+    ['Composition', 'Order', 'Quote'], ['Composition', 'Order', 'Deliver'], ['Triggering', 'Quote', 'Deliver'],
+    ['Composition', 'Sales', 'Pricing'], ['Composition', 'Sales', 'Shipping'], ['Serving', 'Pricing', 'Shipping'],
+    ['Composition', 'Ledger', 'Invoice'], ['Composition', 'Ledger', 'Parcel'], ['Association', 'Parcel', 'Invoice'],
+    ['Serving', 'Sales', 'Order'], ['Serving', 'Pricing', 'Quote'], ['Serving', 'Shipping', 'Deliver'],
+    ['Access', 'Sales', 'Ledger'], ['Access', 'Pricing', 'Invoice'], ['Access', 'Shipping', 'Parcel']
+];
+
+const xml = (type, attributes, content = '') =>
+    `<?xml version="1.0" encoding="UTF-8"?>\n<archimate:${type} ${NS} ${attributes}>${content}</archimate:${type}>\n`;
+
+const reference = (end, name) => `<${end} xsi:type="archimate:${TYPES[name]}" href="${TYPES[name]}_${name}.xml#${name}"/>`;
+
+/**
+ * Writes a coArchi repository holding the conforming model and a diagram, using the element names as ids.
+ * @param {string} directory
+ * @param {string[][]} [extraRelations] - Additional relationships, as [type, source, target].
+ */
+function writeRepository(directory, extraRelations = []) {
+    fs.rmSync(path.join(directory, 'model'), { recursive: true, force: true });
+    const files = {
+        'model/folder.xml': xml('ArchimateModel', 'name="Order handling" id="model-1" version="5.0.0"'),
+        'model/business/folder.xml': xml('Folder', 'name="Business" id="folder-1" type="business"'),
+        'model/relations/folder.xml': xml('Folder', 'name="Relations" id="folder-2" type="relations"'),
+        'model/diagrams/ArchimateDiagramModel_view-1.xml': xml('ArchimateDiagramModel', 'name="Overview" id="view-1"')
+    };
+    const content = {
+        Order: '<documentation>From quote to delivery</documentation>',
+        Quote: '<property key="covo:ignore" value="C3"/>'
+    };
+    Object.keys(TYPES).forEach(name => {
+        files[`model/business/${TYPES[name]}_${name}.xml`] = xml(TYPES[name], `name="${name}" id="${name}"`, content[name]);
+    });
+    RELATIONS.concat(extraRelations).forEach(([type, source, target], i) => {
+        files[`model/relations/${type}Relationship_rel-${i}.xml`] = xml(type + 'Relationship', `id="rel-${i}"`,
+            reference('source', source) + reference('target', target));
+    });
+
+    Object.entries(files).forEach(([name, text]) => {
+        fs.mkdirSync(path.dirname(path.join(directory, name)), { recursive: true });
+        fs.writeFileSync(path.join(directory, name), text);
+    });
+}
+
+describe('coArchi model folder', () => {
+    let directory;
+    before(() => directory = fs.mkdtempSync(path.join(os.tmpdir(), 'covo-coarchi-')));
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    it('reads elements, relationships, documentation and properties, skipping diagrams', () => {
+        writeRepository(directory);
+        const model = coarchi.read(directory);
+        assert.equal(model.name, 'Order handling');
+        assert.equal(model.find('element').size(), 9);
+        assert.equal(model.find('relationship').size(), RELATIONS.length);
+        assert.equal(model.find('archimate-diagram-model').size(), 0);
+        assert.equal(model.getConcept('Sales').type, 'business-function');
+        assert.equal(model.getConcept('Order').documentation, 'From quote to delivery');
+        assert.equal(model.getConcept('Quote').prop('covo:ignore'), 'C3');
+        const triggering = model.find('triggering-relationship').first();
+        assert.equal(triggering.source, model.getConcept('Quote'));
+        assert.equal(triggering.target, model.getConcept('Deliver'));
+    });
+
+    it('also reads the model folder itself', () => {
+        writeRepository(directory);
+        assert.equal(coarchi.read(path.join(directory, 'model')).find('element').size(), 9);
+    });
+
+    it('rejects a folder that is not a coArchi model', () => {
+        assert.throws(() => coarchi.read(os.tmpdir() + path.sep + 'covo-missing'), /Not a coArchi model folder/);
+    });
+
+    it('is validated by the command-line interface with a failing exit code', () => {
+        writeRepository(directory);
+        const cli = path.join(__dirname, '..', 'node', 'cli.js');
+        assert.equal(spawnSync(process.execPath, [cli, directory]).status, 0);
+
+        // Quote refines into Order as well: a refinement cycle
+        writeRepository(directory, [['Composition', 'Quote', 'Order']]);
+        assert.equal(spawnSync(process.execPath, [cli, directory]).status, 1);
+    });
+});
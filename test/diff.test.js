@@ -0,0 +1,120 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { build, createFixture } = require('./fixture');
+const diff = require('../node/diff');
+
+const SPEC = {
+    valueStreams: { Order: ['Quote', 'Deliver'], Return: ['Collect', 'Refund'] },
+    relations: ['Quote -> Deliver', 'Collect -> Refund']
+};
+
+describe('model comparison', () => {
+    it('finds added, removed and changed concepts by id', () => {
+        const before = build(SPEC);
+        const after = build(SPEC);
+        after.get('Quote').name = 'Offer';
+        after.get('Deliver').prop('covo:ignore', 'C3');
+        after.model.concepts.delete(after.find('Collect -> Refund').id);
+        const added = after.model.createElement('business-process', 'Inspect', 'new-1');
+
+        const changes = diff.compareModels(before.model, after.model);
+        assert.deepEqual(changes.added, [added.id]);
+        assert.deepEqual(changes.removed, [before.find('Collect -> Refund').id]);
+        assert.deepEqual(changes.changed.sort(), [after.get('Quote').id, after.get('Deliver').id].sort());
+    });
+
+    it('includes the ends of changed relationships and the hierarchy neighbours of the changes', () => {
+        const { runtime, get, find } = build(SPEC);
+        const affected = diff.getAffected(runtime, [find('Collect -> Refund').id, get('Order').id, 'removed-1']);
+        const names = [...affected].map(id => runtime.model.getConcept(id).name || 'relationship').sort();
+        assert.deepEqual(names, ['Collect', 'Deliver', 'Order', 'Quote', 'Refund', 'Return', 'relationship']);
+    });
+});
+
+describe('focused validation', () => {
+    // Refund is not connected to the other stages of Return, which C11 reports
+    const f = createFixture({ valueStreams: SPEC.valueStreams, relations: ['Quote -> Deliver'] });
+
+    it('only runs the rules whose scope includes focused concepts', () => {
+        const focus = new Set([f.get('Order').id]);
+        const { results, summary } = f.runtime.engine.validate(f.validate().context, undefined, focus);
+        assert.ok(summary.focus.unaffected.includes('C6')); // only checks capabilities
+        assert.ok(results.some(res => res.id === 'C1'));
+    });
+
+    it('only keeps the violations among the focused concepts', () => {
+        const context = f.validate().context;
+        const inOrder = f.runtime.engine.validate(context, undefined, new Set([f.get('Quote').id, f.get('Deliver').id]));
+        const inReturn = f.runtime.engine.validate(context, undefined, new Set([f.get('Collect').id, f.get('Refund').id]));
+        assert.equal(inOrder.results.find(res => res.id === 'C11').violationCount, 0);
+        assert.equal(inReturn.results.find(res => res.id === 'C11').violationCount, 2);
+    });
+});
+
+// A model that conforms to all rules, as [ArchiMate type, source, target] and element types by name
+const TYPES = {
+    Order: 'BusinessProcess', Quote: 'BusinessProcess', Deliver: 'BusinessProcess',
+    Sales: 'BusinessFunction', Pricing: 'BusinessFunction', Shipping: 'BusinessFunction',
+    Ledger: 'BusinessObject', Invoice: 'BusinessObject', Parcel: 'BusinessObject'
+};
+const RELATIONS = [
+    ['Composition', 'Order', 'Quote'], ['Composition', 'Order', 'Deliver'], ['Triggering', 'Quote', 'Deliver'],
+    ['Composition', 'Sales', 'Pricing'], ['Composition', 'Sales', 'Shipping'], ['Serving', 'Pricing', 'Shipping'],
+    ['Composition', 'Ledger', 'Invoice'], ['Composition', 'Ledger', 'Parcel'], ['Association', 'Parcel', 'Invoice'],
+    ['Serving', 'Sales', 'Order'], ['Serving', 'Pricing', 'Quote'], ['Serving', 'Shipping', 'Deliver'],
+    ['Access', 'Sales', 'Ledger'], ['Access', 'Pricing', 'Invoice'], ['Access', 'Shipping', 'Parcel']
+];
+
+/**
+ * Writes an exchange file of the conforming model with additional elements, using the names as ids.
+ * @param {string} file
+ * @param {object} [extraTypes] - Element types by name.
+ */
+function writeModel(file, extraTypes = {}) {
+    const types = Object.assign({}, TYPES, extraTypes);
+    const elements = Object.keys(types).map(name =>
+        `<element identifier="${name}" xsi:type="${types[name]}"><name>${name}</name></element>`);
+    const relationships = RELATIONS.map(([type, source, target], i) =>
+        `<relationship identifier="rel-${i}" source="${source}" target="${target}" xsi:type="${type}"/>`);
+    fs.writeFileSync(file, '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + '<model xmlns="http://www.opengroup.org/xsd/archimate/3.0/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" identifier="model-1">'
+        + '<name>Order handling</name><elements>' + elements.join('') + '</elements>'
+        + '<relationships>' + relationships.join('') + '</relationships></model>\n');
+}
+
+describe('validation since a previous version', () => {
+    let directory;
+    before(() => directory = fs.mkdtempSync(path.join(os.tmpdir(), 'covo-since-')));
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    /**
+     * Runs the command-line interface and reads its JSON export.
+     * @returns {object}
+     */
+    const run = (...args) => {
+        const json = path.join(directory, 'results.json');
+        spawnSync(process.execPath, [path.join(__dirname, '..', 'node', 'cli.js'), ...args, '--json', json]);
+        return JSON.parse(fs.readFileSync(json, 'utf8'));
+    };
+
+    it('counts the violations of a removed concept as fixed', () => {
+        const previous = path.join(directory, 'previous.xml');
+        const current = path.join(directory, 'current.xml');
+        writeModel(previous, { Legacy: 'BusinessFunction' }); // a floating capability that violates several rules
+        writeModel(current);
+
+        const legacy = run(previous).rules.flatMap(rule => rule.violations.filter(v => v.id === 'Legacy').map(() => rule.id));
+        assert.ok(legacy.length > 1);
+
+        const since = run(current, '--since', previous);
+        assert.equal(since.summary.baseline.resolvedViolations, legacy.length);
+        assert.equal(since.summary.baseline.newViolations, 0);
+        assert.deepEqual(since.rules.filter(rule => legacy.includes(rule.id)).map(rule => rule.id), legacy);
+    });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFixture } = require('./fixture');
+
+const SPEC = {
+    valueStreams: { Order: ['Quote', 'Deliver'] },
+    capabilities: { Sales: ['Pricing', 'Shipping'] },
+    relations: ['Quote -> Deliver', 'Sales -> Order', 'Pricing -> Quote', 'Shipping -> Deliver', 'Pricing -> Shipping']
+};
+
+describe('scope coverage', () => {
+    it('is not reported in full mode', () => {
+        const { summary } = createFixture(SPEC).validate();
+        assert.equal(summary.coverage, undefined);
+    });
+
+    it('names the scope and lists rules with nothing to check', () => {
+        const { summary } = createFixture(SPEC).validate(['Quote', 'Pricing', 'Pricing -> Quote']);
+        assert.equal(summary.coverage.scope, 'selection');
+        assert.ok(summary.coverage.unchecked.includes('C8'));
+    });
+
+    it('lists rules narrowed to the levels the scope covers', () => {
+        const { summary } = createFixture(SPEC).validate(['Order', 'Quote', 'Deliver', 'Sales', 'Pricing', 'Shipping', 'Pricing -> Quote']);
+        assert.deepEqual({ ...summary.coverage.narrowed.find(n => n.ruleId === 'C9') }, { ruleId: 'C9', checked: 2, candidates: 3 });
+    });
+
+    it('runs each rule once, in partial mode', () => {
+        const f = createFixture(SPEC);
+        const c9 = f.runtime.rules.find(rule => rule.id === 'C9');
+        const validate = c9.validate;
+        const modes = [];
+        c9.validate = function(context) {
+            modes.push(context.partial);
+            if (!context.partial) throw new Error('boom');
+            return validate.call(this, context);
+        };
+        const { summary } = f.validate(['Order', 'Quote', 'Deliver', 'Sales', 'Pricing', 'Shipping', 'Pricing -> Quote']);
+        assert.deepEqual(modes, [true]);
+        assert.equal(summary.ruleErrors.length, 0);
+        assert.ok(summary.coverage.narrowed.some(n => n.ruleId === 'C9'));
+    });
+});
+
+describe('structural gating', () => {
+    // Pricing has two parents, so C1 fails and the rules depending on it are gated
+    const twoParents = () => createFixture({
+        valueStreams: SPEC.valueStreams,
+        capabilities: { Sales: ['Pricing', 'Shipping'], Marketing: [] },
+        relations: SPEC.relations.concat(['Marketing -composition-> Pricing', 'Marketing -> Order'])
+    });
+
+    it('does not gate when the structural rules pass', () => {
+        const { results, summary } = createFixture(SPEC).validate();
+        assert.equal(summary.gating, undefined);
+        assert.ok(results.every(res => !res.provisional));
+    });
+
+    it('runs dependent rules without the ambiguous elements and marks them provisional', () => {
+        const { results, summary } = twoParents().validate();
+        assert.deepEqual([...summary.gating.failed], ['C1']);
+        assert.deepEqual([...summary.gating.excluded.map(e => e.name)], ['Pricing']);
+        assert.ok(summary.gating.provisional.includes('C3'));
+        assert.equal(results.find(res => res.id === 'C1').provisional, undefined);
+        assert.equal(results.find(res => res.id === 'C9').provisional, true);
+        assert.equal(results.find(res => res.id === 'C9').scope.filter(e => e.name === 'Pricing').size(), 0);
+    });
+
+    it('adds no violations to provisional results compared with running as usual', () => {
+        const violations = mode => {
+            const f = twoParents();
+            f.runtime.config.GATING.mode = mode;
+            const { results } = f.validate();
+            return new Map(results.map(res => [res.id, res.violations.map(v => f.runtime.utils.getLabel(v))]));
+        };
+        const sanitized = violations('sanitize');
+        const usual = violations('off');
+        sanitized.forEach((labels, ruleId) => labels.forEach(label => assert.ok(usual.get(ruleId).includes(label), `${ruleId}: ${label}`)));
+        // Without Pricing, Quote would lack a realizing capability and Marketing -> Order the relations of its only child
+        assert.ok(!sanitized.get('C9').includes('Quote'));
+        assert.equal(sanitized.get('C5').length, 0);
+    });
+
+    it('skips dependent rules in skip mode', () => {
+        const f = twoParents();
+        f.runtime.config.GATING.mode = 'skip';
+        const { results, summary } = f.validate();
+        assert.ok(summary.gating.skipped.includes('C3'));
+        assert.deepEqual([...results.map(res => res.id)], ['C0', 'C1', 'C2']);
+    });
+
+    it('runs dependent rules as usual when off', () => {
+        const f = twoParents();
+        f.runtime.config.GATING.mode = 'off';
+        const { results, summary } = f.validate();
+        assert.equal(summary.gating, undefined);
+        assert.ok(results.every(res => !res.provisional));
+    });
+});
+
+describe('rule profiles', () => {
+    it('reject an invalid severity before any rule runs', () => {
+        const f = createFixture(SPEC);
+        const { config, engine } = f.runtime;
+        config.PROFILES[config.PROFILE].severities.C3 = 'warn';
+        let ran = false;
+        f.runtime.rules.find(rule => rule.id === 'C0').validate = () => { ran = true; };
+        const message = /Invalid severity 'warn' for C3 in profile 'release', expected one of: error, warning, info$/;
+        assert.throws(() => engine.getProfile(config.PROFILE), message);
+        assert.throws(() => f.validate(), message);
+        assert.equal(ran, false);
+    });
+});
+
+describe('stale suppressions', () => {
+    const suppressed = ruleIds => {
+        const f = createFixture(SPEC);
+        f.get('Pricing').prop('covo:ignore', ruleIds);
+        f.get('Pricing').prop('covo:ignore-reason', 'agreed in the review');
+        return f;
+    };
+    const stale = f => [...f.validate().summary.suppressions.stale.map(s => s.ruleId)];
+
+    it('are reported for rules that ran without a violation to suppress', () => {
+        assert.deepEqual(stale(suppressed('C7,C9')), ['C7', 'C9']);
+    });
+
+    it('are not reported for rules that did not run', () => {
+        const disabled = suppressed('C7,C9');
+        disabled.runtime.config.PROFILE = 'early-modelling'; // disables C7
+        assert.deepEqual(stale(disabled), ['C9']);
+
+        const failing = suppressed('C7,C9');
+        failing.runtime.rules.find(rule => rule.id === 'C9').validate = () => { throw new Error('boom'); };
+        assert.deepEqual(stale(failing), ['C7']);
+    });
+
+    it('are only reported for concepts in the scope of the rule, in partial mode', () => {
+        const f = suppressed('C8');
+        const staleIn = selection => [...f.validate(selection).summary.suppressions.stale.map(s => s.ruleId)];
+        assert.deepEqual(staleIn(['Pricing']), []); // without relationships, C8 checks no level
+        assert.deepEqual(staleIn(['Pricing', 'Pricing -> Quote', 'Pricing -> Shipping']), ['C8']);
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Fixture builder for the COVO tests.
+ * Builds an in-memory model from declared hierarchies and horizontal relationships, and validates it with the
+ * COVO scripts loaded through the Node runtime:
+ *
+ *   const f = createFixture({
+ *       valueStreams: { Order: ['Quote', 'Deliver'] },
+ *       capabilities: { Sales: ['Pricing', { Shipping: ['Packing'] }] },
+ *       objects: ['Invoice'],
+ *       relations: ['Quote -> Deliver', 'Pricing -> Quote', 'Sales -association-> Invoice']
+ *   });
+ *   f.violations('C9');                                    // full mode
+ *   f.violations('C9', ['Quote', 'Pricing -> Quote']);     // partial mode, validating a selection
+ *
+ * A hierarchy is an object mapping element names to their children, or an array of names and such objects.
+ * A relation 'A -> B' gets the first type configured for the category implied by its ends, and 'A -flow-> B'
+ * the given type; 'A -composition-> B' declares an extra refinement. Element names must be unique.
+ */
+'use strict';
+
+const { Model } = require('../node/collection');
+const { createRuntime } = require('../node/runtime');
+
+const ROLES = { valueStreams: 'valueStream', capabilities: 'capability', objects: 'object' };
+const RELATION = /^(.+?) -(?:([\w-]+)-)?> (.+)$/;
+
+/**
+ * Builds a model from a fixture specification.
+ * @param {object} spec - {valueStreams, capabilities, objects, relations}
+ * @returns {{model: Model, runtime: object, get: function, find: function}}
+ */
+function build(spec) {
+    const model = new Model('fixture');
+    const runtime = createRuntime(model, { console: { log() {} } });
+    const { config, utils } = runtime;
+    const elements = new Map();
+
+    const get = name => {
+        if (!elements.has(name)) throw new Error(`Unknown element '${name}'`);
+        return elements.get(name);
+    };
+
+    const addHierarchy = (type, tree, parent) => {
+        const entries = Array.isArray(tree)
+            ? tree.flatMap(item => typeof item === 'string' ? [[item, []]] : Object.entries(item))
+            : Object.entries(tree);
+        entries.forEach(([name, children]) => {
+            if (elements.has(name)) throw new Error(`Duplicate element '${name}'`);
+            const element = model.createElement(type, name);
+            elements.set(name, element);
+            if (parent) model.createRelationship(config.TYPES.refinement, '', parent, element);
+            addHierarchy(type, children || [], element);
+        });
+    };
+    Object.keys(ROLES).forEach(key => addHierarchy(config.TYPES[ROLES[key]], spec[key] || {}, null));
+
+    const parseRelation = text => {
+        const match = RELATION.exec(text);
+        if (!match) throw new Error(`Invalid relation '${text}', expected 'A -> B' or 'A -type-> B'`);
+        const source = get(match[1]);
+        const target = get(match[3]);
+        let type = match[2] && (match[2].endsWith('-relationship') ? match[2] : match[2] + '-relationship');
+        if (!type) {
+            const category = utils.getCategoryByEnds({ source: source, target: target });
+            if (!category) throw new Error(`Relation '${text}' needs a type: its ends imply no category`);
+            type = config.RELATIONSHIPS[category][0];
+        }
+        return { source: source, target: target, type: type, explicit: Boolean(match[2]) };
+    };
+    (spec.relations || []).forEach(text => {
+        const r = parseRelation(text);
+        model.createRelationship(r.type, '', r.source, r.target);
+    });
+
+    // Finds an element by name, or a relationship by 'A -> B' (any type) or 'A -type-> B'
+    const find = text => {
+        if (!RELATION.test(text)) return get(text);
+        const r = parseRelation(text);
+        const found = r.source.outRelationships.find(rel => rel.target === r.target && (!r.explicit || rel.type === r.type));
+        if (!found) throw new Error(`Unknown relation '${text}'`);
+        return found;
+    };
+
+    return { model: model, runtime: runtime, get: get, find: find };
+}
+
+/**
+ * Creates a fixture that validates the model in full mode, or in partial mode for a selection.
+ * @param {object} spec - See build.
+ * @returns {object}
+ */
+function createFixture(spec) {
+    const fixture = build(spec);
+    const { model, runtime } = fixture;
+
+    /**
+     * Validates the model.
+     * @param {string[]} [selection] - Element names and relations; validates in partial mode if given.
+     * @returns {{results: object[], summary: object, context: object}}
+     */
+    fixture.validate = selection => {
+        let elements = model.find('element');
+        let relationships = model.find('relationship');
+        if (selection) {
+            const selected = runtime.$();
+            selection.forEach(text => selected.add(fixture.find(text)));
+            elements = selected.filter('element');
+            relationships = selected.filter('relationship');
+        }
+        const context = runtime.engine.createContext(elements, relationships, Boolean(selection));
+        const { results, summary } = runtime.engine.validate(context);
+        return { results: results, summary: summary, context: context };
+    };
+
+    /**
+     * Returns the labels of the violations of a rule, sorted.
+     * @param {string} ruleId
+     * @param {string[]} [selection] - See validate.
+     * @returns {string[]}
+     */
+    fixture.violations = (ruleId, selection) => {
+        const { results, summary } = fixture.validate(selection);
+        const error = summary.ruleErrors.find(e => e.ruleId === ruleId);
+        if (error) throw new Error(`${ruleId} could not be run: ${error.message}`);
+        const result = results.find(res => res.id === ruleId);
+        return result.violations.map(v => runtime.utils.getLabel(v)).sort();
+    };
+
+    return fixture;
+}
+
+module.exports = {
+    build: build,
+    createFixture: createFixture
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createFixture } = require('./fixture');
+
+const SPEC = {
+    valueStreams: { Order: ['Quote', 'Deliver'] },
+    capabilities: { Sales: ['Pricing', 'Shipping'] },
+    relations: ['Quote -> Deliver', 'Sales -> Order', 'Pricing -> Quote', 'Shipping -> Deliver', 'Pricing -> Shipping']
+};
+
+describe('validation history', () => {
+    let directory;
+    before(() => directory = fs.mkdtempSync(path.join(os.tmpdir(), 'covo-history-')));
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    /**
+     * Validates a fixture, compares it with the history file and records it.
+     * @returns {object} The summary.
+     */
+    const run = (spec, file, timestamp) => {
+        const f = createFixture(spec);
+        const { results, summary } = f.validate();
+        const meta = { model: 'fixture', timestamp: timestamp };
+        f.runtime.history.compare(results, summary, f.runtime.history.load(file), meta);
+        f.runtime.history.append(file, results, summary, meta);
+        return summary;
+    };
+
+    it('has no trend without recorded runs of the model', () => {
+        const file = path.join(directory, 'empty.jsonl');
+        assert.equal(run(SPEC, file, 't1').trend, undefined);
+        assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 1);
+    });
+
+    it('compares the counts with the previous and the first run', () => {
+        const file = path.join(directory, 'runs.jsonl');
+        const broken = Object.assign({}, SPEC, { relations: SPEC.relations.filter(r => r !== 'Quote -> Deliver') });
+        const first = run(SPEC, file, 't1');
+        run(broken, file, 't2');
+        const trend = run(SPEC, file, 't3').trend;
+
+        assert.equal(trend.runs, 2);
+        assert.equal(trend.first, 't1');
+        assert.equal(trend.previous, 't2');
+        assert.equal(trend.total.count, first.totalViolations);
+        assert.ok(trend.total.sincePrevious < 0);
+        assert.equal(trend.total.sinceFirst, 0);
+        assert.equal(trend.rules.reduce((sum, t) => sum + t.sincePrevious, 0), trend.total.sincePrevious);
+        assert.ok(trend.rules.every(t => t.sinceFirst === 0));
+    });
+
+    it('rejects a corrupt history file', () => {
+        const file = path.join(directory, 'corrupt.jsonl');
+        fs.writeFileSync(file, '{"model": "fixture", "rules": {}}\nnot json\n');
+        assert.throws(() => createFixture(SPEC).runtime.history.load(file), /line 2/);
+    });
+
+    it('rejects a recorded run without rule counts', () => {
+        const file = path.join(directory, 'incomplete.jsonl');
+        fs.writeFileSync(file, '{"model": "fixture", "rules": {}}\n\n{"model": "fixture", "totalViolations": 0}\n');
+        assert.throws(() => createFixture(SPEC).runtime.history.load(file), /line 3: not a recorded run/);
+    });
+
+    it('still reports in the command-line interface, without recording the run', () => {
+        const model = path.join(directory, 'empty.xml');
+        const file = path.join(directory, 'unreadable.jsonl');
+        fs.writeFileSync(model, '<?xml version="1.0" encoding="UTF-8"?>\n'
+            + '<model xmlns="http://www.opengroup.org/xsd/archimate/3.0/" identifier="model-1"><name>Empty</name></model>\n');
+        fs.writeFileSync(file, 'not json\n');
+
+        const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'node', 'cli.js'), model, '--history', file], { encoding: 'utf8' });
+        assert.equal(cli.status, 0);
+        assert.match(cli.stdout, /PASSED/);
+        assert.match(cli.stderr, /Invalid history file .* at line 1[\s\S]*this run is not recorded/);
+        assert.equal(fs.readFileSync(file, 'utf8'), 'not json\n');
+    });
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFixture } = require('./fixture');
+
+const OUTLINE = [
+    '# Capabilities from the workshop',
+    'Sales',
+    '  - Pricing',
+    '  - Shipping',
+    '      - Packing',
+    'Finance',
+    '\t1. Billing'
+].join('\n');
+
+/**
+ * Plans the import of a hierarchy into a fixture model.
+ * @returns {object} The planned actions keyed by path, e.g. 'Sales > Pricing'.
+ */
+const plan = (f, entries, role = 'capability') => {
+    const actions = {};
+    f.runtime.importer.plan(entries, role).forEach(item => actions[item.path.join(' > ')] = item.action);
+    return actions;
+};
+
+const paths = entries => [...entries.map(e => e.path.join(' > '))];
+
+describe('hierarchy import', () => {
+    it('reads an indented outline, ignoring bullets, numbering and comments', () => {
+        const { runtime } = createFixture({});
+        assert.deepEqual(paths(runtime.importer.parseOutline(OUTLINE)),
+            ['Sales', 'Sales > Pricing', 'Sales > Shipping', 'Sales > Shipping > Packing', 'Finance', 'Finance > Billing']);
+        assert.throws(() => runtime.importer.parseOutline('Sales\n    Pricing\n  Shipping'), /Inconsistent indentation at line 3/);
+    });
+
+    it('reads a CSV with a parent column, parents first', () => {
+        const { runtime } = createFixture({});
+        const csv = 'Name;Parent;Owner\r\nPacking;Shipping;Ops\r\n"Sales; Retail";;\r\nShipping;"Sales; Retail";Ops\r\n';
+        assert.deepEqual(paths(runtime.importer.parseCsv(csv)), ['Sales; Retail', 'Sales; Retail > Shipping', 'Sales; Retail > Shipping > Packing']);
+        assert.throws(() => runtime.importer.parseCsv('name,parent\nA,B\n'), /Unknown parent 'B' at line 2/);
+        assert.throws(() => runtime.importer.parseCsv('name,parent\nA,B\nB,A\n'), /Refinement cycle/);
+        assert.throws(() => runtime.importer.parseCsv('name\nA\n'), /'name' and a 'parent' column/);
+    });
+
+    it('matches existing elements by name and path instead of duplicating them', () => {
+        const f = createFixture({ capabilities: { Sales: ['Pricing'], Shipping: ['Packing'], Billing: [], Finance: [] } });
+        const entries = f.runtime.importer.parseOutline(OUTLINE);
+        assert.deepEqual(plan(f, entries), {
+            'Sales': 'match',
+            'Sales > Pricing': 'match',
+            'Sales > Shipping': 'link', // the top-level Shipping moves below Sales, with its children
+            'Sales > Shipping > Packing': 'match',
+            'Finance': 'match',
+            'Finance > Billing': 'link'
+        });
+        assert.deepEqual(plan(f, entries, 'object')['Sales > Pricing'], 'create');
+    });
+
+    it('skips elements that exist elsewhere in the hierarchy, and their children', () => {
+        const f = createFixture({ capabilities: { Sales: ['Pricing'], Finance: ['Billing'] } });
+        const entries = f.runtime.importer.parseOutline('Finance\n  Pricing\n    Discounts\n  Billing\nSales\n  Billing');
+        assert.deepEqual(plan(f, entries), {
+            'Finance': 'match',
+            'Finance > Pricing': 'conflict',
+            'Finance > Pricing > Discounts': 'conflict',
+            'Finance > Billing': 'match',
+            'Sales': 'match',
+            'Sales > Billing': 'conflict'
+        });
+        assert.equal(plan(f, f.runtime.importer.parseOutline('Pricing\n  Sales'))['Pricing > Sales'], 'conflict');
+    });
+
+    it('creates the elements and refinements, and imports nothing twice', () => {
+        const f = createFixture({ capabilities: { Sales: ['Pricing'], Shipping: [] } });
+        const { runtime, model } = f;
+        const items = runtime.importer.plan(runtime.importer.parseOutline(OUTLINE), 'capability');
+        const outcome = runtime.importer.apply(items, 'capability');
+        assert.deepEqual([outcome.created, outcome.linked, outcome.matched, outcome.skipped], [3, 1, 2, 0]);
+        assert.equal(outcome.elements.size(), 6);
+        runtime.utils.indexHierarchy(model.find('element'));
+        assert.equal(runtime.utils.getParent(f.get('Shipping')).name, 'Sales');
+        assert.equal(model.find(runtime.config.TYPES.capability).size(), 6);
+
+        const again = runtime.importer.plan(runtime.importer.parseOutline(OUTLINE), 'capability');
+        assert.ok(again.every(item => item.action === 'match'));
+
+        const context = runtime.engine.createContext(model.find('element'), model.find('relationship'), false);
+        const { results } = runtime.engine.validate(context, runtime.config.IMPORT.profile);
+        assert.deepEqual([...results.map(res => res.id)], ['C1', 'C2', 'C3']);
+        assert.deepEqual([...results.map(res => res.violationCount)], [0, 0, 1]);
+        assert.equal(results[2].violations.first().name, 'Packing'); // deeper than the other leaves
+    });
+});
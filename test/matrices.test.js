@@ -0,0 +1,74 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFixture } = require('./fixture');
+
+const SPEC = {
+    valueStreams: { Order: ['Quote', 'Deliver'] },
+    capabilities: { Sales: ['Shipping', 'Pricing'], Finance: [] },
+    objects: { Ledger: ['Invoice', 'Parcel'] },
+    relations: ['Quote -> Deliver', 'Sales -> Order', 'Pricing -> Quote', 'Shipping -> Deliver', 'Pricing -> Shipping',
+        'Sales -> Ledger', 'Pricing -> Invoice', 'Shipping -> Parcel', 'Sales -> Invoice']
+};
+
+/**
+ * Builds the matrices of the validated fixture.
+ * @returns {{f: object, results: object[], matrices: object}} The matrices keyed by name.
+ */
+function build() {
+    const f = createFixture(SPEC);
+    const { results, context } = f.validate();
+    const matrices = {};
+    f.runtime.matrices.build(context, results).forEach(m => matrices[m.name] = m);
+    return { f, results, matrices };
+}
+
+describe('capability matrices', () => {
+    it('orders rows and columns by the refinement hierarchy, siblings by name', () => {
+        const { matrices } = build();
+        const names = elements => [...elements.map(e => e.name)];
+        assert.deepEqual(names(matrices['capabilities-objects'].rows), ['Finance', 'Sales', 'Pricing', 'Shipping']);
+        assert.deepEqual(names(matrices['capabilities-objects'].columns), ['Ledger', 'Invoice', 'Parcel']);
+        assert.deepEqual(names(matrices['capabilities-stages'].columns), ['Order', 'Deliver', 'Quote']);
+        assert.deepEqual(names(matrices['capabilities-support'].columns), ['Finance', 'Sales', 'Pricing', 'Shipping']);
+    });
+
+    it('marks related cells with the rules their relationships violate', () => {
+        const { matrices } = build();
+        const m = matrices['capabilities-objects'];
+        const cell = (row, column) => m.cells[m.rows.findIndex(e => e.name === row)][m.columns.findIndex(e => e.name === column)];
+
+        assert.equal(cell('Finance', 'Ledger'), '');
+        assert.equal(cell('Pricing', 'Invoice'), 'X');
+        assert.equal(cell('Sales', 'Invoice'), 'X [C4, C5]'); // crosses levels
+        assert.equal(cell('Pricing', 'Parcel'), '');
+    });
+
+    it('marks headers with the rules their elements violate', () => {
+        const { matrices } = build();
+        const m = matrices['capabilities-objects'];
+        assert.deepEqual([...m.rowHeaders], ['Finance [C3, C6, C8]', 'Sales [C6]', '  Pricing', '  Shipping']); // C6: not one object
+        assert.deepEqual([...m.columnHeaders], ['Ledger', '  Invoice [C11]', '  Parcel [C11]']);
+    });
+
+    it('keeps spreadsheets from running names as formulas, after the indentation', () => {
+        const f = createFixture({ capabilities: { '=HYPERLINK("x")': ['+1', '-Sales', '@Pricing', 'Sum = total'] } });
+        const { context } = f.validate();
+        const results = []; // headers without rule ids
+        const support = f.runtime.matrices.build(context, results).find(m => m.name === 'capabilities-support');
+        const lines = f.runtime.matrices.toCsv(support).replace(/^\uFEFF/, '').split('\r\n');
+        assert.deepEqual(lines[0].split(','), ['Provider \\ Consumer', `"'=HYPERLINK(""x"")"`, `"  '-Sales"`, `"  '@Pricing"`, `"  '+1"`, '"  Sum = total"']);
+        assert.equal(lines[2].split(',')[0], `"  '-Sales"`);
+    });
+
+    it('writes CSV with indented, quoted headers', () => {
+        const { f, matrices } = build();
+        const csv = f.runtime.matrices.toCsv(matrices['capabilities-support'], ';');
+        const lines = csv.replace(/^﻿/, '').split('\r\n');
+        assert.equal(lines[0], 'Provider \\ Consumer;Finance [C3, C6, C8];Sales [C6];"  Pricing";"  Shipping"');
+        assert.equal(lines[3], '"  Pricing";;;;X [C13]');
+        assert.equal(lines.length, 6);
+        assert.equal(lines[5], '');
+    });
+});
@@ -0,0 +1,459 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFixture } = require('./fixture');
+
+// A small model that conforms to all rules: one top-level element per type, each with two children
+const BASE = {
+    valueStreams: { Order: ['Quote', 'Deliver'] },
+    capabilities: { Sales: ['Pricing', 'Shipping'] },
+    objects: { 'Order data': ['Quote data', 'Delivery data'] },
+    relations: [
+        'Quote -> Deliver',
+        'Sales -> Order', 'Pricing -> Quote', 'Shipping -> Deliver',
+        'Sales -> Order data', 'Pricing -> Quote data', 'Shipping -> Delivery data',
+        'Pricing -> Shipping',
+        'Delivery data -> Quote data'
+    ]
+};
+
+/**
+ * Derives a fixture from the base model.
+ * @param {object} changes - Replacement hierarchies, plus relations to add (with) and to leave out (without).
+ * @returns {object}
+ */
+function variant(changes = {}) {
+    const without = changes.without || [];
+    without.forEach(r => assert.ok(BASE.relations.includes(r), `'${r}' is not a base relation`));
+    return createFixture({
+        valueStreams: changes.valueStreams || BASE.valueStreams,
+        capabilities: changes.capabilities || BASE.capabilities,
+        objects: changes.objects || BASE.objects,
+        relations: BASE.relations.filter(r => !without.includes(r)).concat(changes.with || [])
+    });
+}
+
+const ALL = BASE.relations.concat(['Order', 'Quote', 'Deliver', 'Sales', 'Pricing', 'Shipping', 'Order data', 'Quote data', 'Delivery data']);
+
+describe('base model', () => {
+    it('passes all rules in full mode', () => {
+        const { summary } = variant().validate();
+        assert.equal(summary.totalViolations, 0);
+        assert.equal(summary.ruleErrors.length, 0);
+    });
+
+    it('passes all rules in partial mode when everything is selected', () => {
+        const { summary } = variant().validate(ALL);
+        assert.equal(summary.totalViolations, 0);
+    });
+});
+
+describe('C0 Type conformance', () => {
+    /**
+     * Validates a variant and returns the details C0 gives for a concept.
+     * @param {object} f - See variant.
+     * @param {object} concept
+     * @returns {string|undefined}
+     */
+    const detail = (f, concept) => f.validate().results.find(res => res.id === 'C0').details[concept.id];
+
+    it('passes with the configured types only', () => {
+        assert.deepEqual(variant().violations('C0'), []);
+    });
+
+    it('reports an element of another type', () => {
+        const f = variant();
+        const clerk = f.model.createElement('business-actor', 'Clerk');
+        assert.deepEqual(f.violations('C0'), ['Clerk']);
+        assert.equal(detail(f, clerk), 'unsupported element type business-actor');
+    });
+
+    it('reports a refinement between different element types as such, in either direction', () => {
+        const f = variant({ with: ['Order -composition-> Shipping', 'Pricing -composition-> Deliver'] });
+        assert.equal(detail(f, f.find('Order -composition-> Shipping')), 'refinement between different element types');
+        assert.equal(detail(f, f.find('Pricing -composition-> Deliver')), 'refinement between different element types');
+    });
+
+    it('reports a relationship type not configured for its category', () => {
+        const f = variant({ with: ['Sales -triggering-> Order'] });
+        assert.equal(detail(f, f.find('Sales -triggering-> Order')),
+            'triggering-relationship is not allowed for manifestation, expected serving-relationship or aggregation-relationship');
+    });
+
+    it('reports a relationship in the reverse direction', () => {
+        const f = variant({ with: ['Order -serving-> Sales'] });
+        assert.deepEqual(f.violations('C0'), [f.runtime.utils.getLabel(f.find('Order -serving-> Sales'))]);
+        assert.equal(detail(f, f.find('Order -serving-> Sales')), 'reverse direction, manifestation runs from business-function to business-process');
+    });
+});
+
+describe('C1 Unique parent', () => {
+    const twoParents = () => variant({
+        valueStreams: { Order: ['Quote', 'Deliver'], Other: [] },
+        with: ['Other -composition-> Quote']
+    });
+
+    it('passes when each element has one parent', () => {
+        assert.deepEqual(variant().violations('C1'), []);
+        assert.deepEqual(variant().violations('C1', ['Quote', 'Deliver']), []);
+    });
+
+    it('reports an element with two parents', () => {
+        assert.deepEqual(twoParents().violations('C1'), ['Quote']);
+    });
+
+    it('reports a selected element with two parents, including parents outside the selection', () => {
+        assert.deepEqual(twoParents().violations('C1', ['Quote']), ['Quote']);
+    });
+});
+
+describe('C2 Acyclicity', () => {
+    const cycle = () => variant({
+        valueStreams: { Order: ['Quote', 'Deliver'], Loop: ['Back'] },
+        with: ['Back -composition-> Loop']
+    });
+
+    it('passes without cycles', () => {
+        assert.deepEqual(variant().violations('C2'), []);
+        assert.deepEqual(variant().violations('C2', ['Order', 'Quote']), []);
+    });
+
+    it('reports a refinement cycle once, with its path', () => {
+        const f = cycle();
+        assert.deepEqual(f.violations('C2'), ['Loop']);
+        const { evidence } = f.validate().results.find(res => res.id === 'C2');
+        assert.equal(evidence[f.get('Loop').id].facts.cycle.length, 2);
+        assert.match(evidence[f.get('Loop').id].explanation[0], /cycle of 2 elements: (Loop > Back > Loop|Back > Loop > Back)/);
+    });
+
+    it('reports a cycle above an element, but not the element below it', () => {
+        const f = variant({
+            valueStreams: { Order: ['Quote', 'Deliver'], Loop: [{ Back: ['Below'] }] },
+            with: ['Back -composition-> Loop']
+        });
+        assert.deepEqual(f.violations('C2'), ['Loop']);
+    });
+
+    it('leaves elements in or below a cycle to C2 in rules about depth and roots', () => {
+        const f = variant({
+            valueStreams: { Order: ['Quote', 'Deliver'], Loop: [{ Back: ['Below'] }] },
+            with: ['Back -composition-> Loop', 'Below -> Quote']
+        });
+        assert.deepEqual(f.violations('C3'), []);
+        assert.deepEqual(f.violations('C11'), []);
+        assert.deepEqual(f.violations('C12'), []);
+    });
+
+    it('reports a cycle through a parent other than the first', () => {
+        const f = variant({
+            valueStreams: { Order: ['Quote', 'Deliver'], Loop: [{ Back: ['Below'] }] },
+            with: ['Below -composition-> Back']
+        });
+        assert.deepEqual(f.violations('C1'), ['Back']);
+        assert.deepEqual(f.violations('C2'), ['Back']);
+    });
+
+    it('reports a selected element of a refinement cycle', () => {
+        assert.deepEqual(cycle().violations('C2', ['Loop']), ['Loop']);
+    });
+});
+
+describe('C3 Consistent refinement depth', () => {
+    const deeper = () => variant({ valueStreams: { Order: ['Quote', { Deliver: ['Pack'] }] } });
+
+    it('passes when all leaves are at the same depth', () => {
+        assert.deepEqual(variant().violations('C3'), []);
+        assert.deepEqual(variant().violations('C3', ['Quote', 'Pricing']), []);
+    });
+
+    it('reports leaves deeper than the dominant depth', () => {
+        assert.deepEqual(deeper().violations('C3'), ['Pack']);
+    });
+
+    it('reports selected leaves deeper than the dominant depth of the selection', () => {
+        assert.deepEqual(deeper().violations('C3', ['Quote', 'Pricing', 'Pack']), ['Pack']);
+    });
+
+    it('compares leaves only with leaves of the same type', () => {
+        const f = variant({
+            valueStreams: { Order: [{ Quote: ['Price'] }, { Deliver: ['Pack'] }] },
+            with: ['Price -> Pack']
+        });
+        assert.deepEqual(f.violations('C3'), []);
+    });
+
+    it('reports leaves at another depth than configured for their type, with both depths', () => {
+        const f = variant();
+        f.runtime.config.DEPTH.expected.capability = 2;
+        assert.deepEqual(f.violations('C3'), ['Pricing', 'Shipping']);
+        const { details } = f.validate().results.find(res => res.id === 'C3');
+        assert.equal(details[f.get('Pricing').id], 'depth 1, expected 2');
+    });
+
+    it('determines the dominant depth per top-level element with perRoot', () => {
+        const f = variant({ valueStreams: { Order: ['Quote', 'Deliver'], Return: [{ Collect: ['Inspect'] }] } });
+        assert.deepEqual(f.violations('C3'), ['Inspect']);
+        f.runtime.config.DEPTH.perRoot = true;
+        assert.deepEqual(f.violations('C3'), []);
+    });
+
+    it('agrees with the consistency of the metrics', () => {
+        // Order data is refined deeper than the other objects, but as deep as the value streams
+        const f = variant({
+            valueStreams: { Order: ['Quote', 'Deliver'], Return: [{ Collect: ['Inspect'] }] },
+            objects: { 'Order data': [{ 'Quote data': ['Price data'] }, 'Delivery data'] }
+        });
+        [false, true].forEach(perRoot => {
+            f.runtime.config.DEPTH.perRoot = perRoot;
+            const { results, context } = f.validate();
+            const violating = new Set(results.find(res => res.id === 'C3').violations.map(v => v.id));
+            f.runtime.metrics.compute(context, results).hierarchies.forEach(h => {
+                const leaves = f.runtime.utils.getDescendants(h.root).add(h.root).filter(e => f.runtime.utils.isLeaf(e));
+                const consistent = leaves.filter(e => !violating.has(e.id)).size() / leaves.size();
+                assert.equal(h.indicators.consistency, consistent, `${h.root.name}, perRoot ${perRoot}`);
+            });
+        });
+    });
+});
+
+describe('C4 Upward coherence', () => {
+    // The parents are related by another transformation type than their children
+    const otherParentType = () => variant({ without: ['Sales -> Order data'], with: ['Sales -association-> Order data'] });
+
+    it('passes when the parents are related by the same type', () => {
+        assert.deepEqual(variant().violations('C4'), []);
+        assert.deepEqual(variant().violations('C4', ['Pricing -> Quote data', 'Sales -> Order data']), []);
+    });
+
+    it('passes for primary capabilities within the same top-level value stream', () => {
+        const f = variant({
+            capabilities: { Sales: ['Pricing', 'Shipping'], Logistics: ['Transport'] },
+            objects: { 'Order data': ['Quote data', 'Delivery data'], 'Route data': ['Trip data'] },
+            with: ['Transport -> Deliver', 'Transport -> Shipping', 'Logistics -> Order', 'Logistics -> Route data', 'Transport -> Trip data']
+        });
+        assert.deepEqual(f.violations('C4'), []);
+    });
+
+    it('reports relationships without a corresponding relationship between the parents', () => {
+        assert.deepEqual(otherParentType().violations('C4'), ['Pricing --> Quote data', 'Shipping --> Delivery data']);
+    });
+
+    it('reports selected relationships when the parent level is selected too', () => {
+        assert.deepEqual(otherParentType().violations('C4', ['Pricing -> Quote data', 'Sales -association-> Order data']), ['Pricing --> Quote data']);
+    });
+});
+
+describe('C5 Downward coherence', () => {
+    const otherParentType = () => variant({ without: ['Sales -> Order data'], with: ['Sales -association-> Order data'] });
+
+    it('passes when a pair of children is related by the same type', () => {
+        assert.deepEqual(variant().violations('C5'), []);
+        assert.deepEqual(variant().violations('C5', ['Sales -> Order data', 'Pricing -> Quote data']), []);
+    });
+
+    it('reports relationships without a corresponding relationship between the children', () => {
+        assert.deepEqual(otherParentType().violations('C5'), ['Sales --> Order data']);
+    });
+
+    it('reports selected relationships when the child level is selected too', () => {
+        assert.deepEqual(otherParentType().violations('C5', ['Sales -association-> Order data', 'Pricing -> Quote data']), ['Sales --> Order data']);
+    });
+});
+
+describe('C6 Capability impact', () => {
+    const twoObjects = () => variant({
+        objects: { 'Order data': ['Quote data', 'Delivery data'], Invoice: [] },
+        with: ['Sales -> Invoice']
+    });
+
+    it('passes when capabilities transform one object, or several at the leaf level', () => {
+        const f = variant({
+            objects: { 'Order data': ['Quote data', 'Delivery data'], Invoice: [] },
+            with: ['Pricing -> Invoice']
+        });
+        assert.deepEqual(f.violations('C6'), []);
+        assert.deepEqual(f.violations('C6', ['Pricing', 'Pricing -> Quote data', 'Pricing -> Invoice']), []);
+    });
+
+    it('reports a non-leaf capability transforming two objects', () => {
+        assert.deepEqual(twoObjects().violations('C6'), ['Sales']);
+    });
+
+    it('reports a selected non-leaf capability transforming two selected objects', () => {
+        assert.deepEqual(twoObjects().violations('C6', ['Sales', 'Sales -> Order data', 'Sales -> Invoice']), ['Sales']);
+    });
+});
+
+describe('C7 Object relevance', () => {
+    const untransformed = () => variant({ objects: { 'Order data': ['Quote data', 'Delivery data'], Invoice: [] } });
+
+    it('passes when objects are transformed by one capability, or several at the leaf level', () => {
+        const f = variant({ with: ['Shipping -> Quote data'] });
+        assert.deepEqual(f.violations('C7'), []);
+        assert.deepEqual(f.violations('C7', ['Quote data', 'Pricing -> Quote data', 'Shipping -> Quote data']), []);
+    });
+
+    it('reports an object that no capability transforms', () => {
+        assert.deepEqual(untransformed().violations('C7'), ['Invoice']);
+    });
+
+    it('reports a selected object at a level with selected transformations', () => {
+        assert.deepEqual(untransformed().violations('C7', ['Invoice', 'Sales -> Order data']), ['Invoice']);
+    });
+});
+
+describe('C8 Capability purpose', () => {
+    const purposeless = () => variant({ capabilities: { Sales: ['Pricing', 'Shipping', 'Marketing'] } });
+
+    it('passes when capabilities realize a stage or support a capability that does', () => {
+        const f = variant({
+            capabilities: { Sales: ['Pricing', 'Shipping', 'Marketing'] },
+            with: ['Marketing -> Pricing']
+        });
+        assert.deepEqual(f.violations('C8'), []);
+        assert.deepEqual(f.violations('C8', ['Marketing', 'Marketing -> Pricing', 'Pricing -> Quote']), []);
+    });
+
+    it('reports a capability that realizes no stage and supports no capability', () => {
+        assert.deepEqual(purposeless().violations('C8'), ['Marketing']);
+    });
+
+    it('reports a selected capability at a level with selected support and manifestation relationships', () => {
+        assert.deepEqual(purposeless().violations('C8', ['Marketing', 'Pricing -> Shipping', 'Pricing -> Quote']), ['Marketing']);
+    });
+});
+
+describe('C9 Traceability', () => {
+    const twoCapabilities = () => variant({ with: ['Shipping -> Quote'] });
+
+    it('passes when each stage is realized by one capability', () => {
+        assert.deepEqual(variant().violations('C9'), []);
+        assert.deepEqual(variant().violations('C9', ['Quote', 'Pricing -> Quote']), []);
+    });
+
+    it('reports a stage realized by two capabilities', () => {
+        assert.deepEqual(twoCapabilities().violations('C9'), ['Quote']);
+    });
+
+    it('reports a selected stage realized by two selected capabilities', () => {
+        assert.deepEqual(twoCapabilities().violations('C9', ['Quote', 'Pricing -> Quote', 'Shipping -> Quote']), ['Quote']);
+    });
+});
+
+describe('C10 Exclusive manifestation', () => {
+    const twice = () => variant({ with: ['Sales -> Quote'] });
+
+    it('passes when a leaf capability manifests more than once in a top-level value stream', () => {
+        const f = variant({ with: ['Pricing -> Deliver'] });
+        assert.deepEqual(f.violations('C10'), []);
+        assert.deepEqual(f.violations('C10', ['Pricing', 'Pricing -> Quote', 'Pricing -> Deliver']), []);
+    });
+
+    it('reports a non-leaf capability manifesting twice in a top-level value stream', () => {
+        assert.deepEqual(twice().violations('C10'), ['Sales']);
+    });
+
+    it('reports a selected non-leaf capability manifesting twice', () => {
+        assert.deepEqual(twice().violations('C10', ['Sales', 'Sales -> Order', 'Sales -> Quote']), ['Sales']);
+    });
+});
+
+describe('C11 Cohesion', () => {
+    const isolated = () => variant({ capabilities: { Sales: ['Pricing', 'Shipping', 'Billing'] } });
+
+    it('passes when the elements at each level of a hierarchy are connected', () => {
+        assert.deepEqual(variant().violations('C11'), []);
+        assert.deepEqual(variant().violations('C11', ['Pricing', 'Shipping', 'Pricing -> Shipping']), []);
+    });
+
+    it('reports the elements at a level that is not connected', () => {
+        assert.deepEqual(isolated().violations('C11'), ['Billing', 'Pricing', 'Shipping']);
+    });
+
+    it('reports selected elements at a level with selected relationships that is not connected', () => {
+        assert.deepEqual(isolated().violations('C11', ['Pricing', 'Shipping', 'Billing', 'Pricing -> Shipping']), ['Billing', 'Pricing', 'Shipping']);
+    });
+});
+
+describe('C12 Compartmentalization', () => {
+    const crossing = () => variant({
+        valueStreams: { Order: ['Quote', 'Deliver'], Return: ['Refund'] },
+        with: ['Deliver -> Refund']
+    });
+
+    it('passes when same-type relationships stay within a top-level element', () => {
+        assert.deepEqual(variant().violations('C12'), []);
+        assert.deepEqual(variant().violations('C12', ['Quote -> Deliver']), []);
+    });
+
+    it('reports a same-type relationship between different top-level elements', () => {
+        assert.deepEqual(crossing().violations('C12'), ['Deliver --> Refund']);
+    });
+
+    it('reports a selected same-type relationship between different top-level elements', () => {
+        assert.deepEqual(crossing().violations('C12', ['Deliver -> Refund']), ['Deliver --> Refund']);
+    });
+});
+
+describe('C13 Object dependency', () => {
+    // The objects of the supporting capabilities are not related, but other objects at their level are
+    const ungrounded = () => variant({
+        objects: { 'Order data': ['Quote data', 'Delivery data', 'Invoice data'] },
+        without: ['Delivery data -> Quote data'],
+        with: ['Invoice data -> Quote data']
+    });
+    const SELECTION = ['Pricing -> Shipping', 'Pricing -> Quote data', 'Shipping -> Delivery data'];
+
+    it('passes when supporting capabilities have dependent objects', () => {
+        assert.deepEqual(variant().violations('C13'), []);
+        assert.deepEqual(variant().violations('C13', SELECTION.concat('Delivery data -> Quote data')), []);
+    });
+
+    it('reports a support relationship without a material relationship', () => {
+        assert.deepEqual(ungrounded().violations('C13'), ['Pricing --> Shipping']);
+    });
+
+    it('reports a selected support relationship at a level with selected material relationships', () => {
+        assert.deepEqual(ungrounded().violations('C13', SELECTION.concat('Invoice data -> Quote data')), ['Pricing --> Shipping']);
+    });
+});
+
+describe('C14 Object flow', () => {
+    const ungrounded = () => variant({ without: ['Delivery data -> Quote data'] });
+    const SELECTION = ['Quote -> Deliver', 'Pricing -> Quote', 'Shipping -> Deliver', 'Pricing -> Quote data', 'Shipping -> Delivery data'];
+
+    it('passes when succeeding stages have dependent objects', () => {
+        assert.deepEqual(variant().violations('C14'), []);
+        assert.deepEqual(variant().violations('C14', SELECTION.concat('Delivery data -> Quote data')), []);
+    });
+
+    it('reports a succession relationship without a material relationship', () => {
+        assert.deepEqual(ungrounded().violations('C14'), ['Quote --> Deliver']);
+    });
+
+    it('reports a selected succession relationship at a level with selected manifestations and transformations', () => {
+        assert.deepEqual(ungrounded().violations('C14', SELECTION), ['Quote --> Deliver']);
+    });
+});
+
+describe('C15 Grounded dependencies', () => {
+    const ungrounded = () => variant({ with: ['Quote data -> Delivery data'] });
+    const SELECTION = [
+        'Pricing -> Quote data', 'Shipping -> Delivery data', 'Pricing -> Shipping',
+        'Pricing -> Quote', 'Shipping -> Deliver', 'Quote -> Deliver'
+    ];
+
+    it('passes when the objects are transformed by the same or related capabilities', () => {
+        assert.deepEqual(variant().violations('C15'), []);
+        assert.deepEqual(variant().violations('C15', SELECTION.concat('Delivery data -> Quote data')), []);
+    });
+
+    it('reports a material relationship that no capability relationship grounds', () => {
+        assert.deepEqual(ungrounded().violations('C15'), ['Quote data --> Delivery data']);
+    });
+
+    it('reports a selected material relationship at a level with all grounding relationships selected', () => {
+        assert.deepEqual(ungrounded().violations('C15', SELECTION.concat('Quote data -> Delivery data')), ['Quote data --> Delivery data']);
+    });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { build } = require('./fixture');
+
+describe('utils hierarchy', () => {
+    const { runtime, get } = build({
+        valueStreams: { Order: ['Quote', { Deliver: ['Pack'] }] },
+        capabilities: { Sales: ['Pricing'] }
+    });
+    const { utils } = runtime;
+    runtime.engine.createContext(runtime.$('element'), runtime.$('relationship'), false);
+
+    it('determines levels and roots', () => {
+        assert.equal(utils.getLevel(get('Order')), 0);
+        assert.equal(utils.getLevel(get('Pack')), 2);
+        assert.equal(utils.getRoot(get('Pack')), get('Order'));
+        assert.deepEqual([...utils.getAncestors(get('Pack'))].map(e => e.name), ['Deliver', 'Order']); // arrays from the sandbox have another prototype
+    });
+
+    it('returns the levels shared by all collections', () => {
+        const shared = utils.getSharedLevels(
+            runtime.$(get('Order')).add(get('Quote')).add(get('Pack')),
+            runtime.$(get('Pricing')),
+            runtime.$(get('Deliver')).add(get('Sales'))
+        );
+        assert.deepEqual([...shared], [1]);
+    });
+
+    it('returns all levels of a single collection', () => {
+        assert.deepEqual([...utils.getSharedLevels(runtime.$(get('Order')).add(get('Pack')))].sort(), [0, 2]);
+    });
+});
+
+describe('utils hierarchy with a cycle', () => {
+    // A's parent is B, B's parent is C and C's parent is B again
+    const { runtime, get } = build({
+        valueStreams: { C: [{ B: ['A'] }] },
+        relations: ['B -composition-> C']
+    });
+    const { utils } = runtime;
+    runtime.engine.createContext(runtime.$('element'), runtime.$('relationship'), false);
+    const names = elements => [...elements].map(e => e.name).sort();
+
+    it('finds the cycle above an element without walking it forever', () => {
+        assert.equal(utils.isOwnAncestor(get('A')), false);
+        assert.equal(utils.isOwnAncestor(get('B')), true);
+        assert.equal(utils.isCyclic(get('A')), true);
+        assert.deepEqual(names(utils.getCycle(get('A'))), ['B', 'C']);
+        assert.equal(utils.getCycle(get('A')), utils.getCycle(get('C')));
+    });
+
+    it('gives all elements in or below the cycle the same root', () => {
+        const root = utils.getRoot(get('B'));
+        assert.ok(root);
+        assert.equal(utils.getRoot(get('A')), root);
+        assert.equal(utils.getRoot(get('C')), root);
+        assert.equal(utils.getLevel(root), 0);
+        assert.equal(utils.getAncestors(get('A')).length, utils.getLevel(get('A')));
+    });
+});
+
+describe('utils hierarchy with a cycle through a second parent', () => {
+    // B's first parent is A, X's parent is B and B's second parent is X
+    const { runtime, get } = build({
+        valueStreams: { A: [{ B: ['X'] }] },
+        relations: ['X -composition-> B']
+    });
+    const { utils } = runtime;
+    runtime.engine.createContext(runtime.$('element'), runtime.$('relationship'), false);
+
+    it('finds the cycle', () => {
+        assert.equal(utils.isOwnAncestor(get('B')), true);
+        assert.equal(utils.isOwnAncestor(get('X')), true);
+        assert.equal(utils.isCyclic(get('A')), false);
+        assert.deepEqual([...utils.getCycle(get('X'))].map(e => e.name), ['B', 'X']);
+    });
+
+    it('keeps following the first parent to the root', () => {
+        assert.equal(utils.getRoot(get('X')), get('A'));
+        assert.equal(utils.getLevel(get('X')), 2);
+    });
+});
@@ -23,6 +23,67 @@ var utils = (function() {
         return thing.type.endsWith('-relationship');
     }
 
+    // --- METAMODEL ---
+
+    // Horizontal relationship categories by source and target role, in their documented directions
+    const CATEGORIES = {
+        'valueStream>valueStream': 'succession',
+        'capability>capability': 'support',
+        'object>object': 'material',
+        'capability>valueStream': 'manifestation',
+        'capability>object': 'transformation'
+    };
+
+    /**
+     * Returns the COVO role of an element type, i.e. the key of the configured type.
+     * @param {string} type - ArchiMate type.
+     * @returns {string|undefined} 'valueStream', 'capability' or 'object'
+     */
+    function getRole(type) {
+        return ['valueStream', 'capability', 'object'].find(role => config.TYPES[role] === type);
+    }
+
+    /**
+     * Determines the horizontal category implied by the roles of a relationship's ends, regardless of its type.
+     * @param {object} relationship
+     * @returns {string|null}
+     */
+    function getCategoryByEnds(relationship) {
+        const s = getRole(relationship.source.type);
+        const t = getRole(relationship.target.type);
+        if (!s || !t) return null;
+        return CATEGORIES[s + '>' + t] || null;
+    }
+
+    /**
+     * Determines the COVO category of a relationship from the roles of its ends and the relationship types
+     * configured per category.
+     * @param {object} relationship
+     * @returns {string|null} 'refinement', 'succession', 'support', 'material', 'manifestation',
+     *   'transformation', or null if the relationship is not supported by the metamodel.
+     */
+    function getCategory(relationship) {
+        if (relationship.type === config.TYPES.refinement) {
+            const s = getRole(relationship.source.type);
+            return s && s === getRole(relationship.target.type) ? 'refinement' : null;
+        }
+        const category = getCategoryByEnds(relationship);
+        return category && config.RELATIONSHIPS[category].includes(relationship.type) ? category : null;
+    }
+
+    /**
+     * Returns the category a relationship would have if it ran in the opposite direction,
+     * for relationships between different roles (e.g. value stream to capability).
+     * @param {object} relationship
+     * @returns {string|null}
+     */
+    function getReversedCategory(relationship) {
+        const s = getRole(relationship.source.type);
+        const t = getRole(relationship.target.type);
+        if (!s || !t || s === t || relationship.type === config.TYPES.refinement) return null;
+        return CATEGORIES[t + '>' + s] || null;
+    }
+
     // --- SET OPERATIONS ---
 
     /**
@@ -34,8 +95,8 @@ var utils = (function() {
     function getIntersection(first, ...rest) {
         let result = wrap(first);
         for (const next of rest) {
-            const IDs = wrap(next).map(e => e.id);
-            result = result.filter(e => IDs.includes(e.id));
+            const IDs = new Set(wrap(next).map(e => e.id));
+            result = result.filter(e => IDs.has(e.id));
         }
         return result;
     }
@@ -51,13 +112,53 @@ var utils = (function() {
 
     // --- HIERARCHY & STRUCTURE (Vertical) ---
 
+    // Hierarchy index: parent, children, cycle, root and level lookups keyed by element id.
+    // Filled on first use, and rebuilt by indexHierarchy() for each validation context.
+    let hierarchy = createHierarchy();
+
+    function createHierarchy() {
+        return { parents: new Map(), allParents: new Map(), children: new Map(), cycles: new Map(), roots: new Map(), levels: new Map() };
+    }
+
+    /**
+     * Rebuilds the hierarchy index, precomputing the lookups for the given elements.
+     * Elements outside of the collection (e.g., ancestors of a partial selection) are indexed on first use.
+     * @param {collection} elements
+     * @returns {object} The hierarchy index.
+     */
+    function indexHierarchy(elements) {
+        hierarchy = createHierarchy();
+        elements.each(e => {
+            hasMultipleParents(e);
+            isLeaf(e);
+            getRoot(e);
+            getLevel(e);
+        });
+        return hierarchy;
+    }
+
     /**
      * Returns the immediate parent via the defined refinement relationship.
      * @param {object} element
      * @returns {object|undefined}
      */
     function getParent(element) {
-        return wrap(element).inRels(config.TYPES.refinement).sourceEnds().first();
+        if (!hierarchy.parents.has(element.id)) {
+            hierarchy.parents.set(element.id, wrap(element).inRels(config.TYPES.refinement).sourceEnds().first());
+        }
+        return hierarchy.parents.get(element.id);
+    }
+
+    /**
+     * Returns the indexed parents of an element, i.e. all sources of its incoming refinement relationships (not to be modified).
+     * @param {object} element
+     * @returns {collection}
+     */
+    function getIndexedParents(element) {
+        if (!hierarchy.allParents.has(element.id)) {
+            hierarchy.allParents.set(element.id, wrap(element).inRels(config.TYPES.refinement).sourceEnds());
+        }
+        return hierarchy.allParents.get(element.id);
     }
 
     /**
@@ -66,7 +167,19 @@ var utils = (function() {
      * @returns {boolean}
      */
     function hasMultipleParents(element) {
-        return wrap(element).inRels(config.TYPES.refinement).sourceEnds().size() > 1;
+        return getIndexedParents(element).size() > 1;
+    }
+
+    /**
+     * Returns the indexed children of an element (not to be modified).
+     * @param {object} element
+     * @returns {collection}
+     */
+    function getIndexedChildren(element) {
+        if (!hierarchy.children.has(element.id)) {
+            hierarchy.children.set(element.id, wrap(element).outRels(config.TYPES.refinement).targetEnds());
+        }
+        return hierarchy.children.get(element.id);
     }
 
     /**
@@ -75,7 +188,7 @@ var utils = (function() {
      * @returns {collection}
      */
     function getChildren(element) {
-        return wrap(element).outRels(config.TYPES.refinement).targetEnds();
+        return getIndexedChildren(element).clone();
     }
 
     /**
@@ -84,7 +197,7 @@ var utils = (function() {
      * @returns {boolean}
      */
     function isLeaf(element) {
-        return getChildren(element).size() === 0;
+        return getIndexedChildren(element).size() === 0;
     }
 
     /**
@@ -99,19 +212,156 @@ var utils = (function() {
     }
 
     /**
-     * Finds the top-level element (root) in the hierarchy.
+     * Returns all descendants of an element via refinement relationships.
+     * @param {object} element
+     * @returns {collection}
+     */
+    function getDescendants(element) {
+        const descendants = $();
+        const visited = new Set([element.id]);
+        const queue = [element];
+        while (queue.length > 0) {
+            getIndexedChildren(queue.shift()).each(child => {
+                if (visited.has(child.id)) return;
+                visited.add(child.id);
+                descendants.add(child);
+                queue.push(child);
+            });
+        }
+        return descendants;
+    }
+
+    /**
+     * Returns the refinement cycle that an element is in or below, following all of its parents, if any. The cycle
+     * lists the elements that are each other's ancestors in refinement order (parent before child), starting at
+     * its member with the lowest id, so every element in or below the cycle gets the same list. An element below
+     * several cycles gets the one reached through its first parent that leads to one. Results are kept in the hierarchy index.
+     * @param {object} element
+     * @returns {object[]|null}
+     */
+    function getCycle(element) {
+        if (!hierarchy.cycles.has(element.id)) indexCycles(element);
+        return hierarchy.cycles.get(element.id);
+    }
+
+    /**
+     * Indexes the cycles of an element and its ancestors: finds the strongly connected components of the
+     * refinement graph above the element (Tarjan's algorithm), parents before children.
+     * @param {object} element
+     */
+    function indexCycles(element) {
+        const indexes = new Map();
+        const lowLinks = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const visit = e => {
+            indexes.set(e.id, indexes.size);
+            lowLinks.set(e.id, indexes.get(e.id));
+            stack.push(e);
+            onStack.add(e.id);
+            getIndexedParents(e).each(parent => {
+                if (hierarchy.cycles.has(parent.id)) return; // indexed before
+                if (!indexes.has(parent.id)) {
+                    visit(parent);
+                    lowLinks.set(e.id, Math.min(lowLinks.get(e.id), lowLinks.get(parent.id)));
+                } else if (onStack.has(parent.id)) {
+                    lowLinks.set(e.id, Math.min(lowLinks.get(e.id), indexes.get(parent.id)));
+                }
+            });
+            if (lowLinks.get(e.id) !== indexes.get(e.id)) return;
+
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member.id);
+                component.push(member);
+            } while (member.id !== e.id);
+
+            // the components above are complete, so an acyclic element takes the cycle of its parents, if any
+            const parents = getIndexedParents(e).map(p => p);
+            const cycle = component.length > 1 || parents.some(p => p.id === e.id) ? orderCycle(component)
+                : parents.map(p => hierarchy.cycles.get(p.id)).find(c => c) || null;
+            component.forEach(m => hierarchy.cycles.set(m.id, cycle));
+        };
+        visit(element);
+    }
+
+    /**
+     * Lists the members of a cycle in refinement order, depth first from the member with the lowest id.
+     * @param {object[]} members
+     * @returns {object[]}
+     */
+    function orderCycle(members) {
+        const memberIds = new Set(members.map(m => m.id));
+        const visited = new Set();
+        const ordered = [];
+        const visit = e => {
+            if (visited.has(e.id)) return;
+            visited.add(e.id);
+            ordered.push(e);
+            getIndexedChildren(e).each(child => {
+                if (memberIds.has(child.id)) visit(child);
+            });
+        };
+        visit(members.reduce((lowest, m) => m.id < lowest.id ? m : lowest));
+        return ordered;
+    }
+
+    /**
+     * Checks if an element is in a refinement cycle or below one.
+     * @param {object} element
+     * @returns {boolean}
+     */
+    function isCyclic(element) {
+        return getCycle(element) !== null;
+    }
+
+    /**
+     * Finds the top-level element (root) in the hierarchy, following the first parent (see getParent). A chain
+     * of first parents that runs into a cycle has no root, so the member of that cycle with the lowest id stands in for it.
      * @param {object} element
      * @returns {object} The root element.
      */
     function getRoot(element) {
+        if (hierarchy.roots.has(element.id)) return hierarchy.roots.get(element.id);
+
+        const chain = [];
+        const positions = new Map();
         let current = element;
-        const visited = new Set();
-        while (!visited.has(current.id)) {
-            visited.add(current.id);
-            const parent = getParent(current);
-            if (!parent) return current;
-            current = parent;
+        while (current && !positions.has(current.id) && !hierarchy.roots.has(current.id)) {
+            positions.set(current.id, chain.length);
+            chain.push(current);
+            current = getParent(current);
+        }
+
+        let root;
+        if (!current) {
+            root = chain[chain.length - 1];
+        } else if (hierarchy.roots.has(current.id)) {
+            root = hierarchy.roots.get(current.id); // joins a chain walked before
+        } else {
+            root = chain.slice(positions.get(current.id)).reduce((lowest, m) => m.id < lowest.id ? m : lowest);
+        }
+
+        chain.forEach(e => hierarchy.roots.set(e.id, root));
+        return root;
+    }
+
+    /**
+     * Returns the ancestors of an element, from its parent up to its root (see getRoot).
+     * @param {object} element
+     * @returns {object[]}
+     */
+    function getAncestors(element) {
+        const ancestors = [];
+        const root = getRoot(element);
+        let current = element;
+        while (current.id !== root.id) {
+            current = getParent(current);
+            ancestors.push(current);
         }
+        return ancestors;
     }
 
     /**
@@ -127,30 +377,18 @@ var utils = (function() {
 
     // --- DEPTH & LEVELS ---
 
-    const levelCache = {};
     /**
-     * Determines the hierarchical depth (0 = root). Results are cached.
+     * Determines the hierarchical depth (0 = root, see getRoot). Results are kept in the hierarchy index.
      * @param {object} concept
      * @returns {number}
      */
     function getLevel(concept) {
         const element = isRelationship(concept) ? concept.source : concept; // a relationships's level is determined by its source end
 
-        if (levelCache[element.id] !== undefined) return levelCache[element.id];
+        if (hierarchy.levels.has(element.id)) return hierarchy.levels.get(element.id);
 
-        var depth = 0;
-        var current = element;
-        var visited = new Set();
-        
-        while (!visited.has(current.id)) {
-            visited.add(current.id);
-            var parent = getParent(current);
-            if (!parent) break;
-            current = parent;
-            depth++;
-        }
-
-        levelCache[element.id] = depth;
+        const depth = getAncestors(element).length;
+        hierarchy.levels.set(element.id, depth);
         return depth;
     }
 
@@ -171,7 +409,7 @@ var utils = (function() {
      */
     function getSharedLevels(first, ...rest) {
         let levels = [...getLevels(first)];
-        for (const next in rest) {
+        for (const next of rest) {
             levels = levels.filter(l => getLevels(next).has(l));
         }
         return new Set(levels);
@@ -200,52 +438,156 @@ var utils = (function() {
         return dominantDepth;
     }
 
+    /**
+     * Groups leaves to compare their depths (see C3): by type, and with config.DEPTH.perRoot also by top-level element.
+     * A group expects the depth configured for its type in config.DEPTH, or else the dominant depth of its leaves.
+     * @param {collection} leaves
+     * @returns {Map<string, object>} The group of each leaf, keyed by leaf id: {leaves, configured, expectedDepth, name}.
+     */
+    function groupLeaves(leaves) {
+        const getKey = e => e.type + (config.DEPTH.perRoot ? '_' + getRoot(e).id : '');
+        const groups = {};
+        const byLeaf = new Map();
+        leaves.each(e => {
+            const key = getKey(e);
+            if (!groups[key]) groups[key] = { leaves: $() };
+            groups[key].leaves.add(e);
+            byLeaf.set(e.id, groups[key]);
+        });
+        Object.values(groups).forEach(group => {
+            const leaf = group.leaves.first();
+            const configured = config.DEPTH.expected[getRole(leaf.type)];
+            group.configured = typeof configured === 'number';
+            group.expectedDepth = group.configured ? configured : getDominantDepth(group.leaves);
+            group.name = leaf.type + ' leaves' + (config.DEPTH.perRoot ? ' under ' + getLabel(getRoot(leaf)) : '');
+        });
+        return byLeaf;
+    }
+
+    /**
+     * Summarizes the hierarchy per role: the number of elements, roots and leaves, and the number of elements per level.
+     * @param {collection} elements
+     * @returns {object[]} {role, type, elements, roots, leaves, maxDepth, levels: number[]} for each role.
+     */
+    function getHierarchyStatistics(elements) {
+        return ['valueStream', 'capability', 'object'].map(role => {
+            const ofRole = elements.filter(e => e.type === config.TYPES[role]);
+            const levels = [];
+            ofRole.each(e => {
+                const level = getLevel(e);
+                levels[level] = (levels[level] || 0) + 1;
+            });
+            return {
+                role: role,
+                type: config.TYPES[role],
+                elements: ofRole.size(),
+                roots: ofRole.filter(e => !getParent(e)).size(),
+                leaves: ofRole.filter(isLeaf).size(),
+                maxDepth: levels.length - 1,
+                levels: Array.from(levels, count => count || 0)
+            };
+        });
+    }
+
     // --- RELATIONSHIPS & FILTERING (Horizontal) ---
 
+    // Wherever a scope of relationships is expected, either a collection or a relation index
+    // (see indexRelations) can be given. An index avoids scanning the whole scope on every call.
+
+    /**
+     * Indexes relationships by their source and target elements.
+     * @param {collection} relationships
+     * @returns {object} Relation index.
+     */
+    function indexRelations(relationships) {
+        const index = { relationships: relationships, out: new Map(), in: new Map() };
+        relationships.each(r => {
+            if (!index.out.has(r.source.id)) index.out.set(r.source.id, []);
+            if (!index.in.has(r.target.id)) index.in.set(r.target.id, []);
+            index.out.get(r.source.id).push(r);
+            index.in.get(r.target.id).push(r);
+        });
+        return index;
+    }
+
+    /**
+     * Returns the relationships within the given scope that start ('out'), end ('in') or either ('both')
+     * at one of the given elements.
+     * @param {collection|object} elements
+     * @param {collection|object} scope - Relationships within scope, or a relation index.
+     * @param {string} direction - 'out', 'in' or 'both'.
+     * @returns {collection}
+     */
+    function getScopedRelations(elements, scope, direction) {
+        const elementIds = new Set(wrap(elements).map(e => e.id));
+        const outgoing = direction !== 'in';
+        const incoming = direction !== 'out';
+        if (!(scope.out instanceof Map)) {
+            return scope.filter(r => (outgoing && elementIds.has(r.source.id)) || (incoming && elementIds.has(r.target.id)));
+        }
+
+        const relationships = $();
+        elementIds.forEach(id => {
+            if (outgoing) (scope.out.get(id) || []).forEach(r => relationships.add(r));
+            if (incoming) (scope.in.get(id) || []).forEach(r => relationships.add(r));
+        });
+        return relationships;
+    }
+
     /**
      * Gets all elements connected to the given elements via relationships within the given scope,
      * optionally filtered by element type.
      * @param {collection|object} elements - The starting elements.
-     * @param {collection} scope - Relationships within scope.
+     * @param {collection|object} scope - Relationships within scope.
      * @param {string} [endType] - Optional ArchiMate type to filter the results.
      * @returns {collection}
      */
     function getRelated(elements, scope, endType = '*') {
-        const elementIds = new Set(wrap(elements).map(e => e.id));
-        return scope.filter(r => elementIds.has(r.source.id) || elementIds.has(r.target.id)).ends(endType);
+        return getScopedRelations(elements, scope, 'both').ends(endType);
     }
 
     /**
      * Gets elements that are the sources of relationships within the given scope,
      * pointing to the given targets, optionally filtered by source type.
      * @param {collection|object} targets - The target elements.
-     * @param {collection} scope - Relationships within scope.
+     * @param {collection|object} scope - Relationships within scope.
      * @param {string} [sourceType] - Optional ArchiMate type to filter the sources.
      * @returns {collection}
      */
     function getSources(targets, scope, sourceType = '*') {
-        const targetIds = new Set(wrap(targets).map(e => e.id));
-        return scope.filter(r => targetIds.has(r.target.id)).sourceEnds(sourceType);
+        return getScopedRelations(targets, scope, 'in').sourceEnds(sourceType);
     }
 
     /**
      * Gets elements that are the targets of relationships within the given scope,
      * originating from the given sources, optionally filtered by a target type.
      * @param {collection|object} sources - The source elements.
-     * @param {collection} scope - Relationships within scope.
+     * @param {collection|object} scope - Relationships within scope.
      * @param {string} [targetType] - Optional ArchiMate type to filter the targets.
      * @returns {collection}
      */
     function getTargets(sources, scope, targetType = '*') {
-        const sourceIds = new Set(wrap(sources).map(e => e.id));
-        return scope.filter(r => sourceIds.has(r.source.id)).targetEnds(targetType);
+        return getScopedRelations(sources, scope, 'out').targetEnds(targetType);
+    }
+
+    /**
+     * Checks if a relationship of the given type within the given scope runs from one of the sources to one of the targets.
+     * @param {collection|object} sources
+     * @param {collection|object} targets
+     * @param {string} type - ArchiMate relationship type.
+     * @param {collection|object} scope - Relationships within scope.
+     * @returns {boolean}
+     */
+    function hasRelationship(sources, targets, type, scope) {
+        const targetIds = new Set(wrap(targets).map(e => e.id));
+        return getScopedRelations(sources, scope, 'out').filter(r => r.type === type && targetIds.has(r.target.id)).size() > 0;
     }
 
     /**
      * Checks if a direct relationship within the given scope exists between two sets of elements.
      * @param {collection} collection1
      * @param {collection} collection2
-     * @param {collection} scope - Relationships within scope.
+     * @param {collection|object} scope - Relationships within scope.
      * @returns {boolean}
      */
     function isRelated(collection1, collection2, scope) {
@@ -259,7 +601,7 @@ var utils = (function() {
      * 
      * Example: A capability supporting another capability that manifests as a value stream.
      * @param {object} sourceElement
-     * @param {collection} scope - Relationships within scope.
+     * @param {collection|object} scope - Relationships within scope.
      * @param {string} targetType
      * @returns {boolean}
      */
@@ -284,6 +626,30 @@ var utils = (function() {
         return false;
     }
 
+    /**
+     * Returns the same-type elements reachable from a source element via relations within the given scope,
+     * i.e. the elements isRelatedTransitively searches through.
+     * @param {object} sourceElement
+     * @param {collection|object} scope - Relationships within scope.
+     * @returns {collection}
+     */
+    function getRelatedTransitively(sourceElement, scope) {
+        const reached = $();
+        const queue = [sourceElement];
+        const visited = new Set([sourceElement.id]);
+
+        while (queue.length > 0) {
+            getTargets(queue.shift(), scope, sourceElement.type).each(e => {
+                if (!visited.has(e.id)) {
+                    visited.add(e.id);
+                    reached.add(e);
+                    queue.push(e);
+                }
+            });
+        }
+        return reached;
+    }
+
     /**
      * Filters a collection by allowed levels.
      * @param {collection}
@@ -315,29 +681,38 @@ var utils = (function() {
         });
     }
 
+    // --- QUICK FIXES ---
+
+    /**
+     * Proposes a material relationship from depender to dependee, if both resolve to exactly one distinct object.
+     * @param {collection} depender - Candidate depender objects.
+     * @param {collection} dependee - Candidate dependee objects.
+     * @param {string} reason
+     * @returns {object[]} Zero or one proposal.
+     */
+    function proposeMaterialRelation(depender, dependee, reason) {
+        if (depender.size() !== 1 || dependee.size() !== 1) return []; // ambiguous or missing objects
+        if (depender.first().id === dependee.first().id) return [];
+
+        return [{action: 'create', type: config.RELATIONSHIPS.material[0], source: depender.first(), target: dependee.first(), reason: reason}];
+    }
+
     // --- GRAPH TOPOLOGY ---
 
     /**
-     * Checks for cyclic references in the hierarchy.
+     * Checks if an element is part of a refinement cycle, i.e., is its own ancestor.
      * @param {object} element
      * @returns {boolean}
      */
     function isOwnAncestor(element) {
-        let current = element;
-        const initialId = element.id;
-        while (true) {
-            const parent = getParent(current);
-            if (!parent) break;
-            if (parent.id === initialId) return true;
-            current = parent;
-        }
-        return false;
+        const cycle = getCycle(element);
+        return cycle !== null && cycle.some(e => e.id === element.id);
     }
 
     /**
      * Checks if a collection of nodes forms a connected graph.
      * @param {collection} nodes - Elements.
-     * @param {collection} scope - Relationships within scope.
+     * @param {collection|object} scope - Relationships within scope.
      * @returns {boolean}
      */
     function isConnected(nodes, scope) {
@@ -362,6 +737,34 @@ var utils = (function() {
 
     // --- UI & FEEDBACK ---
 
+    /**
+     * Returns a human-readable label: 'source --> target' for relationships, otherwise the name (or type if unnamed).
+     * @param {object} concept
+     * @returns {string}
+     */
+    function getLabel(concept) {
+        if (isRelationship(concept)) return concept.source.name + ' --> ' + concept.target.name;
+        return concept.name ? concept.name : concept.type;
+    }
+
+    /**
+     * Returns the labels of a collection of concepts, for use in explanations.
+     * @param {collection|object[]} concepts
+     * @returns {string[]}
+     */
+    function getLabels(concepts) {
+        return Array.isArray(concepts) ? concepts.map(getLabel) : wrap(concepts).map(getLabel);
+    }
+
+    /**
+     * Returns the diagram objects and connections that reference the given concepts in any view.
+     * @param {collection|object} concepts
+     * @returns {collection}
+     */
+    function getDiagramObjects(concepts) {
+        return wrap(concepts).objectRefs();
+    }
+
     /**
      * Flashes elements/relationships in views.
      * @param {collection} concepts
@@ -369,7 +772,7 @@ var utils = (function() {
     function flash(concepts) {
         if (!config.FLASH.enabled) return;
 
-        const collection = concepts.objectRefs();
+        const collection = getDiagramObjects(concepts);
         if (!collection || collection.size() === 0) return;
 
         const originalStates = [];
@@ -411,26 +814,44 @@ var utils = (function() {
 
     return {
         isRelationship: isRelationship,
+        getRole: getRole,
+        getCategoryByEnds: getCategoryByEnds,
+        getCategory: getCategory,
+        getReversedCategory: getReversedCategory,
         isOverlapping: isOverlapping,
+        indexHierarchy: indexHierarchy,
         getParent: getParent,
         hasMultipleParents: hasMultipleParents,
         getChildren: getChildren,
         isLeaf: isLeaf,
         isFloating: isFloating,
+        getCycle: getCycle,
+        isCyclic: isCyclic,
         getRoot: getRoot,
+        getDescendants: getDescendants,
+        getAncestors: getAncestors,
         getRoots: getRoots,
         getLevel: getLevel,
         getLevels: getLevels,
         getSharedLevels: getSharedLevels,
         getDominantDepth: getDominantDepth,
+        groupLeaves: groupLeaves,
+        getHierarchyStatistics: getHierarchyStatistics,
+        indexRelations: indexRelations,
         getSources: getSources,
         getTargets: getTargets,
+        hasRelationship: hasRelationship,
         isRelated: isRelated,
         isRelatedTransitively: isRelatedTransitively,
+        getRelatedTransitively: getRelatedTransitively,
         filterByLevel: filterByLevel,
         filterByLevelAdjacency: filterByLevelAdjacency,
+        proposeMaterialRelation: proposeMaterialRelation,
         isOwnAncestor: isOwnAncestor,
         isConnected: isConnected,
+        getLabel: getLabel,
+        getLabels: getLabels,
+        getDiagramObjects: getDiagramObjects,
         flash: flash
     };
 
@@ -0,0 +1,140 @@
+/**
+ * COVO Diagnostic Views for jArchi
+ * Creates or refreshes one "COVO Violations" view per failing rule, holding the violating concepts
+ * together with their direct parents and counterpart elements.
+ */
+var views = (function() {
+
+    const LAYOUT = { width: 120, height: 55, gap: 20 };
+
+    /**
+     * Returns the generated diagnostic views, keyed by rule id.
+     * @returns {object}
+     */
+    function getGeneratedViews() {
+        const generated = {};
+        $('archimate-diagram-model').each(v => {
+            const ruleId = v.prop(config.VIEWS.property);
+            if (ruleId) generated[ruleId] = v;
+        });
+        return generated;
+    }
+
+    /**
+     * Collects the elements to show for a rule's violations: the violating elements (or relationship ends),
+     * their direct parents and the counterparts the rule names for each violation.
+     * @param {object} rule
+     * @param {collection} violations
+     * @param {object} context
+     * @returns {collection}
+     */
+    function collectElements(rule, violations, context) {
+        const elements = $();
+        violations.each(v => {
+            const ends = utils.isRelationship(v) ? $(v.source).add(v.target) : $(v);
+            elements.add(ends);
+            ends.each(e => {
+                const parent = utils.getParent(e);
+                if (parent) elements.add(parent);
+            });
+            if (typeof rule.getCounterparts === 'function') elements.add(rule.getCounterparts(v, context));
+        });
+        return elements;
+    }
+
+    /**
+     * Places elements in rows by hierarchy level, ordered by type and name within each row.
+     * @param {object} view
+     * @param {collection} elements
+     * @param {collection} violations
+     * @returns {object} Diagram objects keyed by element id.
+     */
+    function layout(view, elements, violations) {
+        const rows = {};
+        elements.each(e => {
+            const level = utils.getLevel(e);
+            if (!rows[level]) rows[level] = [];
+            rows[level].push(e);
+        });
+
+        const violationIds = new Set(violations.map(v => v.id));
+        const diagramObjects = {};
+        Object.keys(rows).map(Number).sort((a, b) => a - b).forEach((level, row) => {
+            rows[level]
+                .sort((a, b) => (a.type + a.name).localeCompare(b.type + b.name))
+                .forEach((e, column) => {
+                    const x = LAYOUT.gap + column * (LAYOUT.width + LAYOUT.gap);
+                    const y = LAYOUT.gap + row * (LAYOUT.height + 2 * LAYOUT.gap);
+                    const diagramObject = view.add(e, x, y, LAYOUT.width, LAYOUT.height);
+                    if (violationIds.has(e.id)) diagramObject.fillColor = config.VIEWS.color;
+                    diagramObjects[e.id] = diagramObject;
+                });
+        });
+        return diagramObjects;
+    }
+
+    /**
+     * Connects the placed elements with all relationships among them, highlighting the violating ones.
+     * @param {object} view
+     * @param {object} diagramObjects - Diagram objects keyed by element id.
+     * @param {collection} elements - The placed elements.
+     * @param {collection} violations
+     */
+    function connect(view, diagramObjects, elements, violations) {
+        const violationIds = new Set(violations.map(v => v.id));
+        elements.rels().each(r => {
+            const source = diagramObjects[r.source.id];
+            const target = diagramObjects[r.target.id];
+            if (!source || !target) return;
+            const connection = view.add(r, source, target);
+            if (violationIds.has(r.id)) {
+                connection.lineColor = config.VIEWS.color;
+                connection.lineWidth = 3;
+            }
+        });
+    }
+
+    /**
+     * Creates or refreshes the diagnostic view of each failing rule. In full mode,
+     * views of rules that now pass are removed.
+     * @param {object[]} results
+     * @param {object} context
+     * @returns {{refreshed: string[], removed: string[]}} Rule ids.
+     */
+    function refresh(results, context) {
+        const generated = getGeneratedViews();
+        const outcome = { refreshed: [], removed: [] };
+
+        results.forEach(res => {
+            let view = generated[res.id];
+            if (res.violationCount === 0) {
+                if (view && !context.partial) {
+                    view.delete();
+                    outcome.removed.push(res.id);
+                }
+                return;
+            }
+
+            if (view) {
+                $(view).children().delete();
+            } else {
+                view = model.createArchimateView(config.VIEWS.prefix + res.id + ' - ' + res.name);
+                view.prop(config.VIEWS.property, res.id);
+            }
+            view.documentation = res.statement;
+
+            const rule = rules.find(r => r.id === res.id);
+            const elements = collectElements(rule, res.violations, context);
+            const diagramObjects = layout(view, elements, res.violations);
+            connect(view, diagramObjects, elements, res.violations);
+            outcome.refreshed.push(res.id);
+        });
+
+        return outcome;
+    }
+
+    return {
+        refresh: refresh
+    };
+
+})();